@@ -1,6 +1,7 @@
 module.exports = require("./build/ReactGridLayout").default;
 module.exports.utils = require("./build/utils");
 module.exports.calculateUtils = require("./build/calculateUtils");
+module.exports.groupUtils = require("./build/groupUtils");
 module.exports.Responsive =
   require("./build/ResponsiveReactGridLayout").default;
 module.exports.Responsive.utils = require("./build/responsiveUtils");
@@ -29,6 +29,12 @@ import {
   calcXY,
   clamp
 } from "./calculateUtils";
+import type { AutoScrollSpeed, ScrollContainer } from "./autoScrollUtils";
+import {
+  getAutoScrollVelocity,
+  getPointerPosition,
+  getScrollContainer
+} from "./autoScrollUtils";
 import type { ReactRef, ResizeHandle } from "./ReactGridLayoutPropTypes";
 import {
   resizeHandleAxesType,
@@ -78,6 +84,11 @@ type Props = {
   usePercentages?: boolean,
   transformScale: number,
   droppingPosition?: DroppingPosition,
+  autoScroll?: boolean,
+  autoScrollEdge?: number,
+  autoScrollSpeed?: AutoScrollSpeed,
+  isKeyboardAccessible?: boolean,
+  roleDescription?: string,
 
   className: string,
   style?: Object,
@@ -102,6 +113,7 @@ type Props = {
   onDrag?: GridItemCallback<GridDragEvent>,
   onDragStart?: GridItemCallback<GridDragEvent>,
   onDragStop?: GridItemCallback<GridDragEvent>,
+  onDragCancel?: GridItemCallback<GridDragEvent>,
   onResize?: GridItemCallback<GridResizeEvent>,
   onResizeStart?: GridItemCallback<GridResizeEvent>,
   onResizeStop?: GridItemCallback<GridResizeEvent>
@@ -180,6 +192,7 @@ export default class GridItem extends React.Component<Props, State> {
     onDragStop: PropTypes.func,
     onDragStart: PropTypes.func,
     onDrag: PropTypes.func,
+    onDragCancel: PropTypes.func,
     onResizeStop: PropTypes.func,
     onResizeStart: PropTypes.func,
     onResize: PropTypes.func,
@@ -194,6 +207,16 @@ export default class GridItem extends React.Component<Props, State> {
     useCSSTransforms: PropTypes.bool.isRequired,
     transformScale: PropTypes.number,
 
+    // Scroll the nearest scroll container while dragging near its edge
+    autoScroll: PropTypes.bool,
+    autoScrollEdge: PropTypes.number,
+    autoScrollSpeed: PropTypes.func,
+
+    // Focusable with keyboard move and resize
+    isKeyboardAccessible: PropTypes.bool,
+    // aria-roledescription of keyboard-operable items
+    roleDescription: PropTypes.string,
+
     // Others
     className: PropTypes.string,
     // Selector for draggable handle
@@ -227,6 +250,16 @@ export default class GridItem extends React.Component<Props, State> {
 
   elementRef: ReactRef<HTMLDivElement> = React.createRef();
 
+  // 드래그 중 자동 스크롤 상태
+  autoScrollContainer: ?ScrollContainer = null;
+  autoScrollFrame: ?AnimationFrameID = null;
+  autoScrollEvent: ?Event = null;
+  autoScrollNode: ?HTMLElement = null;
+  // 자동 스크롤로 이미 옮겼지만 DraggableCore가 다음 delta에 다시 더할 양
+  autoScrollOffset: PartialPosition = { top: 0, left: 0 };
+  // 키보드로 들어 올린 동안 아이템이 놓일 칸
+  keyboardPosition: ?{ x: number, y: number } = null;
+
   shouldComponentUpdate(nextProps: Props, nextState: State): boolean {
     // We can't deeply compare children. If the developer memoizes them, we can
     // use this optimization.
@@ -263,6 +296,10 @@ export default class GridItem extends React.Component<Props, State> {
     this.moveDroppingItem(prevProps);
   }
 
+  componentWillUnmount() {
+    this.stopAutoScroll();
+  }
+
   // When a droppingPosition is present, this means we should fire a move event, as if we had moved
   // this element by `x, y` pixels.
   moveDroppingItem(prevProps: Props) {
@@ -464,6 +501,12 @@ export default class GridItem extends React.Component<Props, State> {
     newPosition.top = cTop - pTop + offsetParent.scrollTop;
     this.setState({ dragging: newPosition });
 
+    // 바깥에서 끌어오는 아이템은 브라우저가 스크롤을 처리함
+    if (this.props.autoScroll && !this.props.droppingPosition) {
+      this.autoScrollContainer = getScrollContainer(node);
+      this.autoScrollOffset = { top: 0, left: 0 };
+    }
+
     // Call callback with this data
     const { x, y } = calcXY(
       this.getPositionParams(),
@@ -491,6 +534,31 @@ export default class GridItem extends React.Component<Props, State> {
     { node, deltaX, deltaY },
     dontFlush
   ) => {
+    if (!this.props.onDrag) return;
+
+    // 포인터 기준 delta에는 자동 스크롤로 움직인 양이 이미 들어 있음
+    const { top, left } = this.autoScrollOffset;
+    this.autoScrollOffset = { top: 0, left: 0 };
+    this.updateAutoScroll(e, node);
+
+    return this.moveDragging(e, node, deltaX - left, deltaY - top, dontFlush);
+  };
+
+  /**
+   * 드래그 중인 아이템을 delta만큼 옮기고 onDrag 콜백을 호출합니다.
+   * @param  {Event}  e          드래그 이벤트.
+   * @param  {Element} node      드래그 중인 노드.
+   * @param  {Number} deltaX     가로 이동량(px).
+   * @param  {Number} deltaY     세로 이동량(px).
+   * @param  {boolean} dontFlush true면 flushSync를 쓰지 않음.
+   */
+  moveDragging(
+    e: Event,
+    node: HTMLElement,
+    deltaX: number,
+    deltaY: number,
+    dontFlush?: boolean
+  ): void {
     const { onDrag } = this.props;
     if (!onDrag) return;
 
@@ -538,8 +606,68 @@ export default class GridItem extends React.Component<Props, State> {
       node,
       newPosition
     });
+  }
+
+  /**
+   * 포인터가 스크롤 컨테이너 가장자리 근처에 있으면 자동 스크롤을 시작합니다.
+   * 포인터가 멈춰 있어도 계속 스크롤되도록 마지막 이벤트를 기억해 둠
+   */
+  updateAutoScroll(e: Event, node: HTMLElement) {
+    if (!this.autoScrollContainer) return;
+    this.autoScrollEvent = e;
+    this.autoScrollNode = node;
+    if (this.autoScrollFrame == null) {
+      this.autoScrollFrame = window.requestAnimationFrame(this.autoScrollStep);
+    }
+  }
+
+  autoScrollStep: () => void = () => {
+    this.autoScrollFrame = null;
+    const container = this.autoScrollContainer;
+    const e = this.autoScrollEvent;
+    const node = this.autoScrollNode;
+    if (!container || !e || !node || !this.state.dragging) return;
+    const pointer = getPointerPosition(e);
+    if (!pointer) return;
+
+    const { autoScrollEdge = 0, autoScrollSpeed, transformScale } = this.props;
+    if (!autoScrollSpeed) return;
+    const velocity = getAutoScrollVelocity(
+      container,
+      pointer,
+      autoScrollEdge,
+      autoScrollSpeed
+    );
+    if (!velocity.left && !velocity.top) return;
+
+    const { scrollLeft, scrollTop } = container;
+    container.scrollLeft = scrollLeft + velocity.left;
+    container.scrollTop = scrollTop + velocity.top;
+    // 끝까지 스크롤되면 실제로 움직인 양이 velocity보다 작거나 0임
+    // DraggableCore와 같이 transformScale로 나눔
+    const left = (container.scrollLeft - scrollLeft) / transformScale;
+    const top = (container.scrollTop - scrollTop) / transformScale;
+    if (!left && !top) return;
+
+    // 아이템이 포인터 아래에 머물도록 스크롤한 만큼 옮김
+    this.autoScrollOffset = {
+      top: this.autoScrollOffset.top + top,
+      left: this.autoScrollOffset.left + left
+    };
+    this.moveDragging(e, node, left, top);
+    this.autoScrollFrame = window.requestAnimationFrame(this.autoScrollStep);
   };
 
+  stopAutoScroll() {
+    if (this.autoScrollFrame != null) {
+      window.cancelAnimationFrame(this.autoScrollFrame);
+    }
+    this.autoScrollFrame = null;
+    this.autoScrollContainer = null;
+    this.autoScrollEvent = null;
+    this.autoScrollNode = null;
+  }
+
   /**
    * onDragStop event handler
    * @param  {Event}  e             event data
@@ -556,6 +684,7 @@ export default class GridItem extends React.Component<Props, State> {
     const { left, top } = this.state.dragging;
     const newPosition: PartialPosition = { top, left };
     this.setState({ dragging: null });
+    this.stopAutoScroll();
 
     const { x, y } = calcXY(this.getPositionParams(), top, left, w, h);
 
@@ -630,6 +759,139 @@ export default class GridItem extends React.Component<Props, State> {
     handler.call(this, i, w, h, { e, node, size: updatedSize, handle });
   }
 
+  /**
+   * 키보드 조작
+   * Enter/Space로 들어 올리고 놓음, 들어 올린 동안 방향키로 한 칸씩 이동, Esc로 취소
+   * 들어 올리지 않은 상태에서 Shift+방향키로 한 칸씩 크기를 바꿈
+   * 포인터 드래그/리사이즈와 같은 콜백을 호출하므로 레이아웃 처리도 같음
+   */
+  onKeyDown: (SyntheticKeyboardEvent<HTMLElement>) => void = e => {
+    // 안쪽 입력 요소나 그룹 안 아이템에서 올라온 키는 무시
+    if (e.target !== e.currentTarget) return;
+    const node = this.elementRef.current;
+    if (!node) return;
+    const isHolding = Boolean(this.keyboardPosition);
+
+    switch (e.key) {
+      case "Enter":
+      case " ":
+        if (isHolding) {
+          this.keyboardDrop(e.nativeEvent, node);
+        } else if (this.props.isDraggable) {
+          this.keyboardPickUp(e.nativeEvent, node);
+        } else {
+          return;
+        }
+        break;
+      case "Escape":
+        if (!isHolding) return;
+        this.keyboardCancel(e.nativeEvent, node);
+        break;
+      case "ArrowUp":
+      case "ArrowDown":
+      case "ArrowLeft":
+      case "ArrowRight": {
+        const dx = e.key === "ArrowLeft" ? -1 : e.key === "ArrowRight" ? 1 : 0;
+        const dy = e.key === "ArrowUp" ? -1 : e.key === "ArrowDown" ? 1 : 0;
+        if (e.shiftKey && !isHolding && this.props.isResizable) {
+          this.keyboardResize(dx, dy, e.nativeEvent, node);
+        } else if (!e.shiftKey && isHolding) {
+          this.keyboardMove(dx, dy, e.nativeEvent, node);
+        } else {
+          return;
+        }
+        break;
+      }
+      default:
+        return;
+    }
+    // 페이지 스크롤이나 버튼 클릭 같은 기본 동작을 막음
+    e.preventDefault();
+  };
+
+  // 들어 올린 채 포커스를 잃으면 취소
+  onBlur: (SyntheticFocusEvent<HTMLElement>) => void = e => {
+    const node = this.elementRef.current;
+    if (!this.keyboardPosition || !node) return;
+    this.keyboardCancel(e.nativeEvent, node);
+  };
+
+  getCellPosition(x: number, y: number): PartialPosition {
+    const { top, left } = calcGridItemPosition(
+      this.getPositionParams(),
+      x,
+      y,
+      this.props.w,
+      this.props.h
+    );
+    return { top, left };
+  }
+
+  keyboardPickUp(e: Event, node: HTMLElement) {
+    const { i, x, y, onDragStart } = this.props;
+    if (!onDragStart) return;
+    const newPosition = this.getCellPosition(x, y);
+    this.keyboardPosition = { x, y };
+    this.setState({ dragging: newPosition });
+    onDragStart.call(this, i, x, y, { e, node, newPosition });
+  }
+
+  keyboardMove(dx: number, dy: number, e: Event, node: HTMLElement) {
+    const position = this.keyboardPosition;
+    const { i, w, h, cols, maxRows, onDrag } = this.props;
+    if (!position || !onDrag) return;
+    const x = clamp(position.x + dx, 0, Math.max(0, cols - w));
+    const y = clamp(position.y + dy, 0, Math.max(0, maxRows - h));
+    const newPosition = this.getCellPosition(x, y);
+    this.keyboardPosition = { x, y };
+    this.setState({ dragging: newPosition });
+    onDrag.call(this, i, x, y, { e, node, newPosition });
+  }
+
+  keyboardDrop(e: Event, node: HTMLElement) {
+    const position = this.keyboardPosition;
+    const { i, onDragStop } = this.props;
+    if (!position) return;
+    this.keyboardPosition = null;
+    const newPosition = this.getCellPosition(position.x, position.y);
+    this.setState({ dragging: null });
+    if (!onDragStop) return;
+    onDragStop.call(this, i, position.x, position.y, { e, node, newPosition });
+  }
+
+  keyboardCancel(e: Event, node: HTMLElement) {
+    const { i, x, y, onDragCancel } = this.props;
+    this.keyboardPosition = null;
+    const newPosition = this.getCellPosition(x, y);
+    this.setState({ dragging: null });
+    if (!onDragCancel) return;
+    onDragCancel.call(this, i, x, y, { e, node, newPosition });
+  }
+
+  keyboardResize(dw: number, dh: number, e: Event, node: HTMLElement) {
+    const { i, x, y, w, h, cols, minW, maxW, minH, maxH } = this.props;
+    const { onResizeStart, onResize, onResizeStop } = this.props;
+    const newW = clamp(w + dw, Math.max(minW, 1), Math.min(maxW, cols - x));
+    const newH = clamp(h + dh, minH, maxH);
+    const position = calcGridItemPosition(
+      this.getPositionParams(),
+      x,
+      y,
+      newW,
+      newH
+    );
+    const { width, height } = position;
+    const data = { e, node, size: { width, height }, handle: "se" };
+    if (onResizeStart) onResizeStart.call(this, i, w, h, data);
+    // 부모는 각 콜백에서 이전 콜백이 바꾼 state를 읽으므로 한 번씩 반영된 뒤에 다음을 호출
+    this.setState({ resizing: position }, () => {
+      if (onResize) onResize.call(this, i, newW, newH, data);
+      this.setState({ resizing: null }, () => {
+        if (onResizeStop) onResizeStop.call(this, i, newW, newH, data);
+      });
+    });
+  }
+
   render(): ReactNode {
     const {
       x,
@@ -638,6 +900,7 @@ export default class GridItem extends React.Component<Props, State> {
       h,
       isDraggable,
       isResizable,
+      isKeyboardAccessible,
       droppingPosition,
       useCSSTransforms
     } = this.props;
@@ -673,7 +936,15 @@ export default class GridItem extends React.Component<Props, State> {
         ...this.props.style,
         ...child.props.style,
         ...this.createStyle(pos)
-      }
+      },
+      ...(isKeyboardAccessible && (isDraggable || isResizable)
+        ? {
+            tabIndex: 0,
+            "aria-roledescription": this.props.roleDescription,
+            onKeyDown: this.onKeyDown,
+            onBlur: this.onBlur
+          }
+        : null)
     });
 
     // Resizable support. This is usually on but the user can toggle it off.
@@ -1,7 +1,8 @@
 // @flow
 import type {
   ChildrenArray as ReactChildrenArray,
-  Element as ReactElement
+  Element as ReactElement,
+  Node as ReactNode
 } from "react";
 import * as React from "react";
 
@@ -15,12 +16,12 @@ import type {
   GridDragEvent,
   GridResizeEvent,
   Layout,
-  LayoutChild,
   LayoutItem
 } from "./utils";
 import {
   bottom,
   childrenEqual,
+  cloneLayout,
   cloneLayoutItem,
   compact,
   compactType,
@@ -28,6 +29,8 @@ import {
   getAllCollisions,
   getLayoutItem,
   moveElement,
+  moveElements,
+  swapElement,
   noop,
   synchronizeLayoutWithChildren,
   withLayoutItem
@@ -36,10 +39,41 @@ import type { PositionParams } from "./calculateUtils";
 import {
   calcGridColWidth,
   calcGridItemPosition,
-  calcXY
+  calcXY,
+  clamp
 } from "./calculateUtils";
+import {
+  calculateExpandedGroupLayout,
+  collapseGroupItem,
+  createOptimalGroupLayout,
+  expandGroupItem,
+  generateGroupId,
+  getActiveTab,
+  getChildAbsolutePosition,
+  getDescendantIds,
+  getGroupChildren,
+  getGroupMinSize,
+  groupItems,
+  layoutHasId,
+  moveIntoGroup,
+  pruneGroups,
+  removeChildFromGroup,
+  resizeGroupItem,
+  ungroupLayoutItem,
+  uniqueId,
+  updateGroupChildren
+} from "./groupUtils";
+import { defaultAutoScrollSpeed } from "./autoScrollUtils";
 
 import GridItem from "./GridItem";
+import {
+  defaultRenderGroupContainer,
+  defaultRenderGroupingIndicator,
+  defaultRenderMissingGroupChild,
+  renderGroupTabs
+} from "./components/GroupChrome";
+import { defaultMessages } from "./messages";
+import type { GridMessages } from "./messages";
 import type { DefaultProps, Props } from "./ReactGridLayoutPropTypes";
 import ReactGridLayoutPropTypes from "./ReactGridLayoutPropTypes";
 
@@ -60,7 +94,12 @@ type State = {
   // Grouping related states
   groupingTarget: ?string, // 현재 드래그 중인 아이템이 위치한 타겟 아이템 ID
   groupingTimer: ?TimeoutID, // 1초 타이머 ID
-  isGroupDroppable: boolean // 그룹 드롭 가능 상태
+  isGroupDroppable: boolean, // 그룹 드롭 가능 상태
+  dissolvedGroups: LayoutItem[], // children 변경으로 해체되어 아직 알리지 않은 그룹들
+  selectedIds: string[], // selectedIds prop이 없을 때 쓰는 선택 상태
+  oldSelection: ?Layout, // 함께 드래그 중인 선택 아이템들의 원래 위치
+  marquee: ?{ left: number, top: number, width: number, height: number },
+  announcement: string // 스크린 리더에 읽어 줄 키보드 조작 결과
 };
 
 // End Types
@@ -121,7 +160,32 @@ export default class ReactGridLayout extends React.Component<Props, State> {
     onResize: noop,
     onResizeStop: noop,
     onDrop: noop,
-    onDropDragOver: noop
+    onDropDragOver: noop,
+    getDroppedItemId: noop,
+    onGroupCreate: noop,
+    onGroupAdd: noop,
+    onGroupDissolve: noop,
+    onGroupRename: noop,
+    generateGroupId,
+    isGroupable: true,
+    groupingDelay: 1000,
+    groupingThreshold: 0,
+    groupingModifierKey: null,
+    maxGroupDepth: 1,
+    groupGridProps: null,
+    reflowMode: "onDrop",
+    collisionMode: "push",
+    autoScroll: false,
+    autoScrollEdge: 50,
+    autoScrollSpeed: defaultAutoScrollSpeed,
+    isSelectable: false,
+    selectedIds: null,
+    onSelectionChange: noop,
+    isKeyboardAccessible: false,
+    renderGroupContainer: defaultRenderGroupContainer,
+    renderGroupingIndicator: defaultRenderGroupingIndicator,
+    messages: null,
+    renderMissingGroupChild: defaultRenderMissingGroupChild
   };
 
   state: State = {
@@ -143,10 +207,19 @@ export default class ReactGridLayout extends React.Component<Props, State> {
     children: [],
     groupingTarget: null,
     groupingTimer: null,
-    isGroupDroppable: false
+    isGroupDroppable: false,
+    dissolvedGroups: [],
+    selectedIds: [],
+    oldSelection: null,
+    marquee: null,
+    announcement: ""
   };
 
   dragEnterCounter: number = 0;
+  // 그룹화 히트 테스트에 쓰는 이 그리드의 컨테이너 DOM
+  containerNode: HTMLDivElement | null = null;
+  // 드래그 선택을 시작한 위치와 그때 유지할 기존 선택
+  marqueeStart: ?{ left: number, top: number, baseIds: string[] } = null;
 
   static getDerivedStateFromProps(
     nextProps: Props,
@@ -174,8 +247,10 @@ export default class ReactGridLayout extends React.Component<Props, State> {
 
     // We need to regenerate the layout.
     if (newLayoutBase) {
+      // 사라진 자식을 그룹에서 정리하고, 멤버가 하나만 남은 그룹은 해체
+      const pruned = pruneGroups(newLayoutBase, nextProps.children);
       const newLayout = synchronizeLayoutWithChildren(
-        newLayoutBase,
+        pruned.layout,
         nextProps.children,
         nextProps.cols,
         compactType(nextProps),
@@ -188,7 +263,8 @@ export default class ReactGridLayout extends React.Component<Props, State> {
         // getDerivedStateFromProps instead of componentDidMount (in which we would get extra rerender)
         compactType: nextProps.compactType,
         children: nextProps.children,
-        propsLayout: nextProps.layout
+        propsLayout: nextProps.layout,
+        dissolvedGroups: prevState.dissolvedGroups.concat(pruned.dissolved)
       };
     }
 
@@ -200,6 +276,7 @@ export default class ReactGridLayout extends React.Component<Props, State> {
     // Possibly call back with layout on mount. This should be done after correcting the layout width
     // to ensure we don't rerender with the wrong width.
     this.onLayoutMaybeChanged(this.state.layout, this.props.layout);
+    this.notifyDissolvedGroups();
   }
 
   shouldComponentUpdate(nextProps: Props, nextState: State): boolean {
@@ -212,9 +289,14 @@ export default class ReactGridLayout extends React.Component<Props, State> {
       this.state.activeDrag !== nextState.activeDrag ||
       this.state.mounted !== nextState.mounted ||
       this.state.droppingPosition !== nextState.droppingPosition ||
+      // 그룹 해제 등 드래그 없이 레이아웃만 바뀌는 경우
+      this.state.layout !== nextState.layout ||
       // 그룹화 관련 상태들 추가
       this.state.groupingTarget !== nextState.groupingTarget ||
-      this.state.isGroupDroppable !== nextState.isGroupDroppable
+      this.state.isGroupDroppable !== nextState.isGroupDroppable ||
+      this.state.selectedIds !== nextState.selectedIds ||
+      this.state.marquee !== nextState.marquee ||
+      this.state.announcement !== nextState.announcement
     );
   }
 
@@ -225,6 +307,19 @@ export default class ReactGridLayout extends React.Component<Props, State> {
 
       this.onLayoutMaybeChanged(newLayout, oldLayout);
     }
+    this.notifyDissolvedGroups();
+  }
+
+  /**
+   * children 변경으로 해체된 그룹을 onGroupDissolve로 알림
+   * 자식이 이미 사라졌으므로 반환값으로 해체를 취소할 수는 없음
+   */
+  notifyDissolvedGroups() {
+    const { dissolvedGroups } = this.state;
+    if (dissolvedGroups.length === 0) return;
+
+    this.setState({ dissolvedGroups: [] });
+    dissolvedGroups.forEach(group => this.props.onGroupDissolve(group));
   }
 
   /**
@@ -278,15 +373,34 @@ export default class ReactGridLayout extends React.Component<Props, State> {
       clearTimeout(this.state.groupingTimer);
     }
 
+    // 선택된 아이템을 드래그하면 선택된 아이템 전체가 함께 움직임
+    const selection = this.props.isSelectable
+      ? this.selectOnDragStart(i, e)
+      : [];
+    const oldSelection =
+      selection.length > 1 && selection.includes(i)
+        ? layout.filter(item => selection.includes(item.i)).map(cloneLayoutItem)
+        : null;
+
     this.setState({
       oldDragItem: cloneLayoutItem(l),
       oldLayout: layout,
       activeDrag: placeholder,
       groupingTarget: null,
       groupingTimer: null,
-      isGroupDroppable: false
+      isGroupDroppable: false,
+      oldSelection
     });
 
+    if (this.isKeyboardEvent(e)) {
+      this.announce(
+        this.getMessages().keyboardPickUp(
+          this.getItemLabel(l),
+          this.describePosition(l)
+        )
+      );
+    }
+
     return this.props.onDragStart(layout, l, l, null, e, node);
   };
 
@@ -304,14 +418,54 @@ export default class ReactGridLayout extends React.Component<Props, State> {
     y,
     { e, node }
   ) => {
-    const { layout } = this.state;
-    const l = getLayoutItem(layout, i);
+    const { oldDragItem, oldSelection } = this.state;
+    const { cols, allowOverlap, reflowMode } = this.props;
+    const l = getLayoutItem(this.state.layout, i);
     if (!l) return;
 
-    // 그룹화 타겟 추적 로직 (마우스 이벤트 기반)
-    if (e && node) {
-      this.handleGroupingTarget(i, e, node);
+    const isKeyboard = this.isKeyboardEvent(e);
+    if (isKeyboard) {
+      this.announce(
+        this.getMessages().keyboardMove(
+          this.getItemLabel(l),
+          this.describePosition({ x, y })
+        )
+      );
+    }
+
+    if (oldSelection && oldDragItem) {
+      this.onSelectionDrag(oldSelection, oldDragItem, x, y, e, node);
+      return;
     }
+
+    // 그룹화 타겟 추적 로직 (마우스 이벤트 기반)
+    // 키보드로 옮길 때는 포인터 위치가 없으므로 그룹화하지 않음
+    const groupingTarget =
+      e && !isKeyboard ? this.handleGroupingTarget(i, e) : null;
+
+    // live 모드에서는 셀이 바뀔 때마다 다른 아이템을 밀어내며 미리 보여줌
+    // 그룹화 대기 중에는 계속 밀어내고, 놓으면 그룹화되는 상태에서만 타겟이 밀려나지 않도록 멈춤
+    if (reflowMode !== "live" || this.isGroupingArmed(groupingTarget)) return;
+    if (l.x === x && l.y === y) return;
+
+    // moveElement는 아이템을 직접 수정하므로 복제본에서 작업
+    let layout = this.moveDraggedItem(cloneLayout(this.state.layout), i, x, y);
+    if (!allowOverlap) layout = compact(layout, compactType(this.props), cols);
+
+    // Create placeholder (display only)
+    const moved = getLayoutItem(layout, i) || l;
+    const placeholder = {
+      w: moved.w,
+      h: moved.h,
+      x: moved.x,
+      y: moved.y,
+      placeholder: true,
+      i: i
+    };
+
+    this.props.onDrag(layout, oldDragItem, moved, placeholder, e, node);
+
+    this.setState({ layout, activeDrag: placeholder });
   };
 
   /**
@@ -330,15 +484,39 @@ export default class ReactGridLayout extends React.Component<Props, State> {
   ) => {
     if (!this.state.activeDrag) return;
 
-    const { oldDragItem } = this.state;
+    const { oldDragItem, oldSelection } = this.state;
     let { layout } = this.state;
-    const { cols, preventCollision, allowOverlap } = this.props;
+    const { cols, allowOverlap } = this.props;
     const { isGroupDroppable, groupingTarget } = this.state;
     const l = getLayoutItem(layout, i);
     if (!l) return;
 
+    if (oldSelection && oldDragItem) {
+      this.onSelectionDragStop(oldSelection, oldDragItem, x, y, e, node);
+      return;
+    }
+
+    // 그룹 내부 그리드에서 그룹 밖으로 끌려 나간 아이템은 부모 그리드가 처리
+    const { onGroupItemDragOut } = this.props;
+    if (onGroupItemDragOut && e && node && onGroupItemDragOut(l, e, node)) {
+      if (this.state.groupingTimer) {
+        clearTimeout(this.state.groupingTimer);
+      }
+      this.setState({
+        activeDrag: null,
+        oldDragItem: null,
+        oldLayout: null,
+        oldSelection: null,
+        groupingTarget: null,
+        groupingTimer: null,
+        isGroupDroppable: false
+      });
+      return;
+    }
+
+    let groupedLayout = null;
     if (isGroupDroppable && groupingTarget !== null) {
-      layout = this.performGrouping(
+      groupedLayout = this.performGrouping(
         layout,
         i,
         groupingTarget,
@@ -347,21 +525,12 @@ export default class ReactGridLayout extends React.Component<Props, State> {
       );
     }
 
-    // 그룹화가 일어나지 않았다면 일반적인 드래그 이동 처리
-    if (!isGroupDroppable || groupingTarget === null) {
+    if (groupedLayout) {
+      layout = groupedLayout;
+    } else {
+      // 그룹화가 일어나지 않았거나 취소되었다면 일반적인 드래그 이동 처리
       // Move the element here
-      const isUserAction = true;
-      layout = moveElement(
-        layout,
-        l,
-        x,
-        y,
-        isUserAction,
-        preventCollision,
-        compactType(this.props),
-        cols,
-        allowOverlap
-      );
+      layout = this.moveDraggedItem(layout, i, x, y);
     }
 
     // Set state
@@ -369,7 +538,17 @@ export default class ReactGridLayout extends React.Component<Props, State> {
       ? layout
       : compact(layout, compactType(this.props), cols);
 
-    this.props.onDragStop(newLayout, oldDragItem, l, null, e, node);
+    const movedItem = getLayoutItem(newLayout, i);
+    this.announceDrop(newLayout, i, e);
+    this.props.onDragStop(
+      newLayout,
+      oldDragItem,
+      l,
+      null,
+      e,
+      node,
+      movedItem ? [movedItem] : []
+    );
 
     // 그룹화 타이머 정리
     if (this.state.groupingTimer) {
@@ -390,6 +569,417 @@ export default class ReactGridLayout extends React.Component<Props, State> {
     this.onLayoutMaybeChanged(newLayout, oldLayout);
   };
 
+  /**
+   * 드래그한 아이템을 x, y로 옮긴 레이아웃을 만듦
+   * collisionMode가 "swap"이면 놓은 자리의 아이템 하나와 자리를 맞바꾸고,
+   * 맞바꿀 아이템이 하나로 정해지지 않으면 기존처럼 밀어냄
+   */
+  moveDraggedItem(layout: Layout, i: string, x: number, y: number): Layout {
+    const { cols, preventCollision, allowOverlap, collisionMode } = this.props;
+    const { oldLayout } = this.state;
+
+    // swap 모드에서는 매번 드래그 전 배치에서 계산하여 live 미리보기의 이전 교환이 남지 않게 함
+    const isSwap = collisionMode === "swap";
+    const base = isSwap && oldLayout ? cloneLayout(oldLayout) : layout;
+    const l = getLayoutItem(base, i);
+    if (!l) return layout;
+
+    if (isSwap) {
+      const swapped = swapElement(base, l, x, y, cols);
+      if (swapped) return swapped;
+    }
+
+    const isUserAction = true;
+    return moveElement(
+      base,
+      l,
+      x,
+      y,
+      isUserAction,
+      preventCollision,
+      compactType(this.props),
+      cols,
+      allowOverlap
+    );
+  }
+
+  /**
+   * 키보드로 들어 올린 아이템을 Esc로 내려놓으면 드래그 전 레이아웃으로 되돌림
+   * onDragStop은 원래 레이아웃과 함께 호출되며 옮긴 아이템은 없음
+   */
+  onDragCancel: (i: string, x: number, y: number, GridDragEvent) => void = (
+    i,
+    x,
+    y,
+    { e, node }
+  ) => {
+    const { oldDragItem, oldLayout, groupingTimer } = this.state;
+    if (!oldLayout) return;
+    if (groupingTimer) clearTimeout(groupingTimer);
+
+    if (oldDragItem && this.isKeyboardEvent(e)) {
+      this.announce(
+        this.getMessages().keyboardCancel(
+          this.getItemLabel(oldDragItem),
+          this.describePosition(oldDragItem)
+        )
+      );
+    }
+    this.props.onDragStop(
+      oldLayout,
+      oldDragItem,
+      oldDragItem,
+      null,
+      e,
+      node,
+      []
+    );
+
+    this.setState({
+      activeDrag: null,
+      layout: oldLayout,
+      oldDragItem: null,
+      oldLayout: null,
+      oldSelection: null,
+      groupingTarget: null,
+      groupingTimer: null,
+      isGroupDroppable: false
+    });
+  };
+
+  // GridItem은 키보드 조작에도 포인터와 같은 콜백을 호출하므로 이벤트 종류로 구분함
+  isKeyboardEvent(e: ?Event): boolean {
+    return Boolean(e && e.type === "keydown");
+  }
+
+  announce(announcement: string): void {
+    this.setState({ announcement });
+  }
+
+  announceDrop(layout: Layout, id: string, e: ?Event): void {
+    if (!this.isKeyboardEvent(e)) return;
+    const l = getLayoutItem(layout, id);
+    // 그룹으로 들어간 아이템은 최상위 레이아웃에 없음
+    if (!l) return;
+    this.announce(
+      this.getMessages().keyboardDrop(
+        this.getItemLabel(l),
+        this.describePosition(l)
+      )
+    );
+  }
+
+  getItemLabel(l: LayoutItem): string {
+    return l.title || l.i;
+  }
+
+  describePosition({ x, y }: { x: number, y: number }): string {
+    return this.getMessages().itemPosition(x + 1, y + 1);
+  }
+
+  /**
+   * 선택된 아이템 중 하나를 드래그할 때 나머지도 같은 칸 수만큼 옮김
+   * live 모드에서는 선택 영역을 하나의 박스로 보고 다른 아이템을 밀어내고,
+   * onDrop 모드에서는 놓기 전까지 선택된 아이템만 따라 움직임 (getDragPreviewPosition)
+   */
+  onSelectionDrag(
+    oldSelection: Layout,
+    oldDragItem: LayoutItem,
+    x: number,
+    y: number,
+    e: Event,
+    node: HTMLElement
+  ): void {
+    const { activeDrag } = this.state;
+    const { allowOverlap, cols, reflowMode } = this.props;
+    const blockPosition = this.getSelectionPosition(
+      oldSelection,
+      oldDragItem,
+      x,
+      y
+    );
+    // 드래그한 아이템이 실제로 놓일 위치
+    const placeholder = {
+      w: oldDragItem.w,
+      h: oldDragItem.h,
+      x:
+        oldDragItem.x +
+        blockPosition.x -
+        Math.min(...oldSelection.map(l => l.x)),
+      y:
+        oldDragItem.y +
+        blockPosition.y -
+        Math.min(...oldSelection.map(l => l.y)),
+      placeholder: true,
+      i: oldDragItem.i
+    };
+    if (
+      activeDrag &&
+      activeDrag.x === placeholder.x &&
+      activeDrag.y === placeholder.y
+    ) {
+      return;
+    }
+
+    if (reflowMode !== "live") {
+      this.setState({ activeDrag: placeholder });
+      return;
+    }
+
+    let layout = this.moveSelection(
+      oldSelection,
+      blockPosition.x,
+      blockPosition.y
+    );
+    if (!allowOverlap) layout = compact(layout, compactType(this.props), cols);
+    const moved = getLayoutItem(layout, oldDragItem.i) || oldDragItem;
+    placeholder.x = moved.x;
+    placeholder.y = moved.y;
+
+    this.props.onDrag(layout, oldDragItem, moved, placeholder, e, node);
+
+    this.setState({ layout, activeDrag: placeholder });
+  }
+
+  /**
+   * onDrop 모드에서 함께 드래그 중인 선택 아이템을 그릴 위치
+   * 레이아웃은 놓을 때 바뀌므로 그리는 위치만 드래그한 아이템을 따라감
+   */
+  getDragPreviewPosition(l: LayoutItem): { x: number, y: number } {
+    const { activeDrag, oldDragItem, oldSelection } = this.state;
+    if (
+      this.props.reflowMode === "live" ||
+      !activeDrag ||
+      !oldDragItem ||
+      !oldSelection ||
+      l.i === oldDragItem.i ||
+      !oldSelection.some(item => item.i === l.i)
+    ) {
+      return { x: l.x, y: l.y };
+    }
+    return {
+      x: l.x + activeDrag.x - oldDragItem.x,
+      y: l.y + activeDrag.y - oldDragItem.y
+    };
+  }
+
+  onSelectionDragStop(
+    oldSelection: Layout,
+    oldDragItem: LayoutItem,
+    x: number,
+    y: number,
+    e: Event,
+    node: HTMLElement
+  ): void {
+    const { oldLayout } = this.state;
+    const { allowOverlap, cols } = this.props;
+    const blockPosition = this.getSelectionPosition(
+      oldSelection,
+      oldDragItem,
+      x,
+      y
+    );
+    let newLayout = this.moveSelection(
+      oldSelection,
+      blockPosition.x,
+      blockPosition.y
+    );
+    if (!allowOverlap) {
+      newLayout = compact(newLayout, compactType(this.props), cols);
+    }
+
+    const ids = oldSelection.map(l => l.i);
+    const movedItems = newLayout.filter(l => ids.includes(l.i));
+    const l = getLayoutItem(newLayout, oldDragItem.i);
+    this.announceDrop(newLayout, oldDragItem.i, e);
+    this.props.onDragStop(newLayout, oldDragItem, l, null, e, node, movedItems);
+
+    // 움직이지 않은 클릭은 그 아이템만 선택
+    if (
+      oldDragItem.x === x &&
+      oldDragItem.y === y &&
+      !this.isSelectionModifierPressed(e)
+    ) {
+      this.setSelection([oldDragItem.i]);
+    }
+
+    this.setState({
+      activeDrag: null,
+      layout: newLayout,
+      oldDragItem: null,
+      oldLayout: null,
+      oldSelection: null
+    });
+
+    this.onLayoutMaybeChanged(newLayout, oldLayout);
+  }
+
+  /**
+   * 드래그한 아이템이 (x, y)에 있을 때 선택 영역 바운딩 박스의 위치
+   * 박스 전체가 그리드 안에 머물도록 제한함
+   */
+  getSelectionPosition(
+    oldSelection: Layout,
+    oldDragItem: LayoutItem,
+    x: number,
+    y: number
+  ): { x: number, y: number } {
+    const left = Math.min(...oldSelection.map(l => l.x));
+    const top = Math.min(...oldSelection.map(l => l.y));
+    const width = Math.max(...oldSelection.map(l => l.x + l.w)) - left;
+    return {
+      x: clamp(
+        left + x - oldDragItem.x,
+        0,
+        Math.max(0, this.props.cols - width)
+      ),
+      y: Math.max(0, top + y - oldDragItem.y)
+    };
+  }
+
+  // 드래그 시작 전 레이아웃에서 선택 영역을 박스 단위로 옮김
+  moveSelection(oldSelection: Layout, x: number, y: number): Layout {
+    const { oldLayout } = this.state;
+    const { cols, preventCollision, allowOverlap } = this.props;
+    const layout = cloneLayout(oldLayout || this.state.layout);
+    const ids = oldSelection.map(l => l.i);
+    const isUserAction = true;
+    return moveElements(
+      layout,
+      layout.filter(l => ids.includes(l.i)),
+      x,
+      y,
+      isUserAction,
+      preventCollision,
+      compactType(this.props),
+      cols,
+      allowOverlap
+    );
+  }
+
+  /**
+   * 현재 선택된 아이템 ID. selectedIds prop이 있으면 그 값을 따름
+   */
+  getSelectedIds(): string[] {
+    return this.props.selectedIds || this.state.selectedIds;
+  }
+
+  /**
+   * 선택을 바꾸고 onSelectionChange로 알림
+   * selectedIds prop으로 제어되는 경우에는 부모가 prop을 바꿔야 반영됨
+   */
+  setSelection(ids: string[]): void {
+    const current = this.getSelectedIds();
+    if (
+      ids.length === current.length &&
+      ids.every(id => current.includes(id))
+    ) {
+      return;
+    }
+    if (!this.props.selectedIds) this.setState({ selectedIds: ids });
+    this.props.onSelectionChange(ids);
+  }
+
+  // Shift, Ctrl(Mac에서는 Cmd)을 누르면 기존 선택에 더하거나 뺌
+  // groupingModifierKey로 쓰는 키는 그룹화 전용이므로 선택에는 쓰지 않음
+  isSelectionModifierPressed(e: ?Event): boolean {
+    const mouseEvent: any = e;
+    if (!mouseEvent) return false;
+    const { groupingModifierKey } = this.props;
+    return Boolean(
+      (mouseEvent.shiftKey && groupingModifierKey !== "shift") ||
+        (mouseEvent.ctrlKey && groupingModifierKey !== "ctrl") ||
+        (mouseEvent.metaKey && groupingModifierKey !== "meta")
+    );
+  }
+
+  /**
+   * 아이템을 누를 때 선택을 갱신하고, 드래그에 쓸 선택을 반환
+   * 이미 선택된 아이템을 누르면 선택을 유지해서 함께 드래그할 수 있게 함
+   */
+  selectOnDragStart(i: string, e: Event): string[] {
+    const current = this.getSelectedIds();
+    let selection;
+    if (this.isSelectionModifierPressed(e)) {
+      selection = current.includes(i)
+        ? current.filter(id => id !== i)
+        : current.concat(i);
+    } else {
+      selection = current.includes(i) ? current : [i];
+    }
+    this.setSelection(selection);
+    return selection;
+  }
+
+  /**
+   * 빈 영역에서 마우스를 누르면 드래그 선택(마키)을 시작함
+   */
+  onContainerMouseDown: (SyntheticMouseEvent<HTMLDivElement>) => void = e => {
+    if (!this.props.isSelectable || e.button !== 0) return;
+    // 아이템이나 그룹 안의 그리드가 아닌 이 그리드의 빈 영역만
+    if (e.target !== this.containerNode) return;
+    const start = this.getPointerOffset(e.nativeEvent);
+    if (!start) return;
+
+    const additive = this.isSelectionModifierPressed(e.nativeEvent);
+    this.marqueeStart = {
+      ...start,
+      baseIds: additive ? this.getSelectedIds() : []
+    };
+    if (!additive) this.setSelection([]);
+    // 드래그하는 동안 텍스트가 선택되지 않도록 함
+    e.preventDefault();
+
+    window.addEventListener("mousemove", this.onMarqueeMove);
+    window.addEventListener("mouseup", this.onMarqueeEnd);
+  };
+
+  onMarqueeMove: MouseEvent => void = e => {
+    const start = this.marqueeStart;
+    const pointer = this.getPointerOffset(e);
+    if (!start || !pointer) return;
+
+    const marquee = {
+      left: Math.min(start.left, pointer.left),
+      top: Math.min(start.top, pointer.top),
+      width: Math.abs(pointer.left - start.left),
+      height: Math.abs(pointer.top - start.top)
+    };
+    const { width, cols, margin, containerPadding, rowHeight, maxRows } =
+      this.props;
+    const positionParams = {
+      cols,
+      margin,
+      maxRows,
+      rowHeight,
+      containerWidth: width,
+      containerPadding: containerPadding || margin
+    };
+    const hitIds = this.state.layout
+      .filter(l => {
+        const pos = calcGridItemPosition(positionParams, l.x, l.y, l.w, l.h);
+        return !(
+          pos.left + pos.width <= marquee.left ||
+          marquee.left + marquee.width <= pos.left ||
+          pos.top + pos.height <= marquee.top ||
+          marquee.top + marquee.height <= pos.top
+        );
+      })
+      .map(l => l.i);
+
+    this.setState({ marquee });
+    this.setSelection(
+      start.baseIds.concat(hitIds.filter(id => !start.baseIds.includes(id)))
+    );
+  };
+
+  onMarqueeEnd: () => void = () => {
+    window.removeEventListener("mousemove", this.onMarqueeMove);
+    window.removeEventListener("mouseup", this.onMarqueeEnd);
+    this.marqueeStart = null;
+    this.setState({ marquee: null });
+  };
+
   onLayoutMaybeChanged(newLayout: Layout, oldLayout: ?Layout) {
     if (!oldLayout) oldLayout = this.state.layout;
 
@@ -475,6 +1065,11 @@ export default class ReactGridLayout extends React.Component<Props, State> {
         }
       }
 
+      // 그룹은 리사이즈 시작 시점의 자식 배치에서 비율대로 자식들을 다시 맞춤
+      if (l.isGroup && oldResizeItem) {
+        return resizeGroupItem({ ...oldResizeItem, x: l.x, y: l.y }, w, h);
+      }
+
       l.w = w;
       l.h = h;
 
@@ -537,6 +1132,12 @@ export default class ReactGridLayout extends React.Component<Props, State> {
       ? layout
       : compact(layout, compactType(this.props), cols);
 
+    if (l && this.isKeyboardEvent(e)) {
+      this.announce(
+        this.getMessages().keyboardResize(this.getItemLabel(l), l.w, l.h)
+      );
+    }
+
     this.props.onResizeStop(newLayout, oldResizeItem, l, null, e, node);
 
     const { oldLayout } = this.state;
@@ -627,7 +1228,11 @@ export default class ReactGridLayout extends React.Component<Props, State> {
       isGroup,
       draggableHandle,
       resizeHandles,
-      resizeHandle
+      resizeHandle,
+      autoScroll,
+      autoScrollEdge,
+      autoScrollSpeed,
+      isKeyboardAccessible
     } = this.props;
     const { mounted, droppingPosition, groupingTarget, isGroupDroppable } =
       this.state;
@@ -639,32 +1244,50 @@ export default class ReactGridLayout extends React.Component<Props, State> {
       typeof l.isDraggable === "boolean"
         ? l.isDraggable
         : !l.static && isDraggable;
+    // 접힌 그룹은 헤더 높이로 고정되므로 크기를 바꿀 수 없음
     const resizable =
-      typeof l.isResizable === "boolean"
+      !l.collapsed &&
+      (typeof l.isResizable === "boolean"
         ? l.isResizable
-        : !l.static && isResizable;
+        : !l.static && isResizable);
     const resizeHandlesOptions = l.resizeHandles || resizeHandles;
 
     // isBounded set on child if set on parent, and child is not explicitly false
     const bounded = draggable && isBounded && l.isBounded !== false;
 
+    // 그룹은 자식들이 줄어들 수 있는 만큼만 줄어듦
+    const { minW, minH } = l.isGroup ? getGroupMinSize(l) : l;
+
+    const { x, y } = this.getDragPreviewPosition(l);
+
     // 그룹화 관련 CSS 클래스 결정
     const isGroupingTarget = groupingTarget === l.i;
+    const isSelected =
+      this.props.isSelectable && this.getSelectedIds().includes(l.i);
 
     return (
       <GridItem
         key={child.key}
+        className={isSelected ? "react-grid-item-selected" : ""}
         containerWidth={width}
         cols={cols}
         margin={margin}
         containerPadding={containerPadding || margin}
         maxRows={maxRows}
         rowHeight={rowHeight}
-        cancel={isGroup ? null : ".non-draggable"}
+        cancel={
+          // 그룹은 내부 그리드 바깥(그룹 크롬)에서만 드래그되도록 함
+          l.isGroup
+            ? ".react-grid-layout, .non-draggable"
+            : isGroup
+              ? null
+              : ".non-draggable"
+        }
         handle={draggableHandle}
         onDragStop={this.onDragStop}
         onDragStart={this.onDragStart}
         onDrag={this.onDrag}
+        onDragCancel={this.onDragCancel}
         onResizeStart={this.onResizeStart}
         onResize={this.onResize}
         onResizeStop={this.onResizeStop}
@@ -676,35 +1299,31 @@ export default class ReactGridLayout extends React.Component<Props, State> {
         transformScale={transformScale}
         w={l.w}
         h={l.h}
-        x={l.x}
-        y={l.y}
+        x={x}
+        y={y}
         i={l.i}
-        minH={l.minH}
-        minW={l.minW}
+        minH={minH}
+        minW={minW}
         maxH={l.maxH}
         maxW={l.maxW}
         static={l.static}
         droppingPosition={isDroppingItem ? droppingPosition : undefined}
         resizeHandles={resizeHandlesOptions}
         resizeHandle={resizeHandle}
+        autoScroll={autoScroll}
+        autoScrollEdge={autoScrollEdge}
+        autoScrollSpeed={autoScrollSpeed}
+        isKeyboardAccessible={isKeyboardAccessible}
+        roleDescription={this.getMessages().itemRoleDescription}
       >
         <div style={{ position: "relative" }}>
-          {isGroupingTarget && isGroupDroppable && (
-            <div
-              style={{
-                position: "absolute",
-                top: 0,
-                left: 0,
-                width: "100%",
-                height: "100%",
-                backgroundColor: "black",
-                opacity: 0.3,
-                color: "white"
-              }}
-            >
-              그룹화 가능
-            </div>
-          )}
+          {isGroupingTarget &&
+            this.props.renderGroupingIndicator({
+              layoutItem: l,
+              children: child,
+              isArmed: isGroupDroppable,
+              messages: this.getMessages()
+            })}
           {child}
         </div>
       </GridItem>
@@ -816,11 +1435,18 @@ export default class ReactGridLayout extends React.Component<Props, State> {
       this.props.allowOverlap
     );
 
+    if (this.state.groupingTimer) {
+      clearTimeout(this.state.groupingTimer);
+    }
+
     this.setState({
       layout: newLayout,
       droppingDOMNode: null,
       activeDrag: null,
-      droppingPosition: undefined
+      droppingPosition: undefined,
+      groupingTarget: null,
+      groupingTimer: null,
+      isGroupDroppable: false
     });
   };
 
@@ -848,36 +1474,72 @@ export default class ReactGridLayout extends React.Component<Props, State> {
   onDrop: EventHandler = (e: Event) => {
     e.preventDefault(); // Prevent any browser native action
     e.stopPropagation();
-    const { droppingItem } = this.props;
-    const { layout } = this.state;
-    const item = layout.find(l => l.i === droppingItem.i);
+    const { droppingItem, cols, allowOverlap, getDroppedItemId } = this.props;
+    const { isGroupDroppable, groupingTarget } = this.state;
+    const droppedItem = this.state.layout.find(l => l.i === droppingItem.i);
 
     // reset dragEnter counter on drop
     this.dragEnterCounter = 0;
 
+    // 앱이 새 아이템의 ID를 정해 주면 그룹화와 onDrop 전에 자리 표시 ID를 바꿈
+    const itemId =
+      (droppedItem && getDroppedItemId(droppedItem, e)) || droppingItem.i;
+    const layout =
+      itemId === droppingItem.i
+        ? this.state.layout
+        : this.state.layout.map(l =>
+            l.i === droppingItem.i ? { ...l, i: itemId } : l
+          );
+    const item = droppedItem ? getLayoutItem(layout, itemId) : undefined;
+
+    // 그룹화가 준비된 타겟 위에 드롭했다면 새 아이템이 들어간 그룹 레이아웃을 제안
+    // 새 아이템은 앱이 레이아웃에 추가해야 존재하므로 내부 상태에는 반영하지 않음
+    const targetId = isGroupDroppable ? groupingTarget : null;
+    const groupedLayout =
+      item && targetId
+        ? this.performGrouping(layout, item.i, targetId, cols, allowOverlap)
+        : null;
+
     this.removeDroppingPlaceholder();
 
-    this.props.onDrop(layout, item, e);
+    const group = groupedLayout
+      ? groupedLayout.find(l =>
+          getGroupChildren(l).some(child => child.i === itemId)
+        )
+      : null;
+    if (!groupedLayout || !group || !targetId) {
+      this.props.onDrop(layout, item, e, { groupId: null, isNewGroup: false });
+      return;
+    }
+
+    const target = getLayoutItem(layout, targetId);
+    this.props.onDrop(
+      allowOverlap
+        ? groupedLayout
+        : compact(groupedLayout, compactType(this.props), cols),
+      getLayoutItem(getGroupChildren(group), itemId),
+      e,
+      { groupId: group.i, isNewGroup: Boolean(target && !target.isGroup) }
+    );
   };
 
   /**
    * 드래그 중인 아이템이 어떤 다른 아이템 위에 있는지 감지하고 그룹화 타겟을 추적
+   * 포인터 아래의 그룹화 타겟 ID를 반환하고, 없으면 null을 반환
    */
   handleGroupingTarget = (
     draggedItemId: string,
-    mouseEvent: MouseEvent,
-    node: HTMLElement
-  ) => {
+    mouseEvent: MouseEvent
+  ): ?string => {
     const { layout } = this.state;
     const draggedItem = getLayoutItem(layout, draggedItemId);
-    if (!draggedItem) return;
+    if (!draggedItem) return null;
 
-    // 마우스 포인터 위치에서 겹치는 다른 아이템 찾기
-    const targetItem = this.findItemAtMousePosition(
-      mouseEvent,
-      draggedItem,
-      node
-    );
+    // 그룹화가 꺼져 있거나 보조 키가 눌리지 않았다면 타겟이 없는 것으로 처리
+    // 그렇지 않으면 마우스 포인터 위치에서 겹치는 다른 아이템 찾기
+    const targetItem = this.isGroupingActive(draggedItem, mouseEvent)
+      ? this.findItemAtMousePosition(mouseEvent, draggedItem)
+      : null;
     const newTargetId = targetItem ? targetItem.i : null;
     const currentTargetId = this.state.groupingTarget;
 
@@ -895,6 +1557,13 @@ export default class ReactGridLayout extends React.Component<Props, State> {
           groupingTimer: null,
           isGroupDroppable: false
         });
+      } else if (this.props.groupingDelay <= 0) {
+        // 대기 시간이 없으면 바로 그룹화 가능 상태로 전환
+        this.setState({
+          groupingTarget: newTargetId,
+          groupingTimer: null,
+          isGroupDroppable: true
+        });
       } else {
         // 새로운 타겟인 경우: 타이머 설정과 함께 상태 업데이트
         const newTimer = setTimeout(() => {
@@ -904,7 +1573,7 @@ export default class ReactGridLayout extends React.Component<Props, State> {
               isGroupDroppable: true
             });
           }
-        }, 1000);
+        }, this.props.groupingDelay);
 
         this.setState({
           groupingTarget: newTargetId,
@@ -913,25 +1582,66 @@ export default class ReactGridLayout extends React.Component<Props, State> {
         });
       }
     }
+
+    return newTargetId;
   };
 
+  /**
+   * handleGroupingTarget이 찾은 타겟으로 지금 놓으면 그룹화되는지 확인
+   * 이벤트 핸들러 안에서는 setState가 미뤄지므로 타겟이 막 바뀌었다면 groupingDelay로 판단함
+   */
+  isGroupingArmed(groupingTarget: ?string): boolean {
+    if (groupingTarget == null) return false;
+    return groupingTarget === this.state.groupingTarget
+      ? this.state.isGroupDroppable
+      : this.props.groupingDelay <= 0;
+  }
+
+  /**
+   * 아이템이 그룹화에 참여할 수 있는지 확인
+   * 아이템의 isGroupable이 그리드의 isGroupable보다 우선함
+   */
+  isItemGroupable(item: LayoutItem): boolean {
+    return typeof item.isGroupable === "boolean"
+      ? item.isGroupable
+      : this.props.isGroupable;
+  }
+
+  /**
+   * 드래그 중인 아이템으로 지금 그룹화를 시도할 수 있는지 확인
+   */
+  isGroupingActive(draggedItem: LayoutItem, mouseEvent: MouseEvent): boolean {
+    if (!this.isItemGroupable(draggedItem)) return false;
+    // 이 그리드에서 만드는 그룹은 한 단계 더 깊어지므로 최대 깊이를 넘으면 그룹화하지 않음
+    if ((this.props.groupDepth || 0) >= this.props.maxGroupDepth) return false;
+
+    switch (this.props.groupingModifierKey) {
+      case "shift":
+        return mouseEvent.shiftKey;
+      case "alt":
+        return mouseEvent.altKey;
+      case "ctrl":
+        return mouseEvent.ctrlKey;
+      case "meta":
+        return mouseEvent.metaKey;
+      default:
+        return true;
+    }
+  }
+
   /**
    * 마우스 포인터 위치를 기반으로 해당 위치의 아이템을 찾음 (하이브리드 접근법)
    */
   findItemAtMousePosition = (
     mouseEvent: MouseEvent,
-    draggedItem: LayoutItem,
-    node: HTMLElement
+    draggedItem: LayoutItem
   ) => {
     const { layout } = this.state;
 
-    // 그리드 컨테이너 찾기 (.react-grid-layout 클래스를 가진 요소)
-    const gridContainer = node.closest(".react-grid-layout");
-    if (!gridContainer) return null;
-
-    const gridRect = gridContainer.getBoundingClientRect();
-    const mouseX = mouseEvent.clientX - gridRect.left;
-    const mouseY = mouseEvent.clientY - gridRect.top;
+    const pointer = this.getPointerOffset(mouseEvent);
+    if (!pointer) return null;
+    const mouseX = pointer.left;
+    const mouseY = pointer.top;
 
     // 1단계: 마우스 위치를 그리드 좌표로 변환하여 대략적인 후보 찾기
     const { cols, margin, maxRows, rowHeight, width, containerPadding } =
@@ -951,6 +1661,7 @@ export default class ReactGridLayout extends React.Component<Props, State> {
     for (const item of layout) {
       if (item.i === draggedItem.i) continue; // 드래그 중인 아이템 제외
       if (item.static) continue; // 정적 아이템 제외
+      if (!this.isItemGroupable(item)) continue; // 그룹화가 꺼진 아이템 제외
 
       // 그리드 좌표 기반 충돌 확인 (여유 마진 포함)
       if (
@@ -966,6 +1677,8 @@ export default class ReactGridLayout extends React.Component<Props, State> {
     }
 
     // 2단계: 픽셀 단위로 정확한 충돌 감지
+    // groupingThreshold 비율만큼 가장자리를 제외한 안쪽 영역에 포인터가 있어야 함
+    const threshold = Math.min(Math.max(this.props.groupingThreshold, 0), 1);
     for (const candidate of candidates) {
       const pixelPos = calcGridItemPosition(
         positionParams,
@@ -977,11 +1690,13 @@ export default class ReactGridLayout extends React.Component<Props, State> {
       );
 
       // 마우스가 아이템의 픽셀 경계 내에 있는지 확인
+      const insetX = (pixelPos.width * threshold) / 2;
+      const insetY = (pixelPos.height * threshold) / 2;
       if (
-        mouseX >= pixelPos.left &&
-        mouseX <= pixelPos.left + pixelPos.width &&
-        mouseY >= pixelPos.top &&
-        mouseY <= pixelPos.top + pixelPos.height
+        mouseX >= pixelPos.left + insetX &&
+        mouseX <= pixelPos.left + pixelPos.width - insetX &&
+        mouseY >= pixelPos.top + insetY &&
+        mouseY <= pixelPos.top + pixelPos.height - insetY
       ) {
         return candidate;
       }
@@ -990,6 +1705,26 @@ export default class ReactGridLayout extends React.Component<Props, State> {
     return null;
   };
 
+  /**
+   * 포인터 위치를 이 그리드 컨테이너 기준의 픽셀 좌표로 변환
+   * GridItem과 같이 transformScale로 나누고 컨테이너의 스크롤 위치를 더함
+   * 그룹 안의 그리드도 자기 컨테이너를 기준으로 하므로 중첩 단계와 상관없이 맞음
+   */
+  getPointerOffset(mouseEvent: MouseEvent): ?{ left: number, top: number } {
+    const container = this.containerNode;
+    if (!container) return null;
+
+    const { transformScale } = this.props;
+    const rect = container.getBoundingClientRect();
+    return {
+      left:
+        (mouseEvent.clientX - rect.left) / transformScale +
+        container.scrollLeft,
+      top:
+        (mouseEvent.clientY - rect.top) / transformScale + container.scrollTop
+    };
+  }
+
   /**
    * 두 아이템이 겹치는지 확인
    */
@@ -1011,18 +1746,21 @@ export default class ReactGridLayout extends React.Component<Props, State> {
     if (this.state.groupingTimer) {
       clearTimeout(this.state.groupingTimer);
     }
+    window.removeEventListener("mousemove", this.onMarqueeMove);
+    window.removeEventListener("mouseup", this.onMarqueeEnd);
   }
 
   /**
    * 그룹화 로직을 한 번에 처리하는 최적화된 메서드
+   * onGroupCreate/onGroupAdd 콜백이 false를 반환하면 null을 반환하여 그룹화를 취소
    */
-  performGrouping = (
+  performGrouping(
     layout: Layout,
     draggedItemId: string,
     targetId: string,
     _cols: number,
     _allowOverlap: boolean
-  ): Layout => {
+  ): ?Layout {
     const draggingTarget = layout.find(item => item.i === draggedItemId);
     const droppingTarget = layout.find(item => item.i === targetId);
 
@@ -1030,18 +1768,80 @@ export default class ReactGridLayout extends React.Component<Props, State> {
       return layout;
     }
 
-    // 일반 -> 일반: 새 그룹 생성
+    let newLayout;
+    let groupId;
     if (!draggingTarget.isGroup && !droppingTarget.isGroup) {
-      return this.createNewGroup(layout, draggingTarget, droppingTarget);
+      // 일반 -> 일반: 새 그룹 생성
+      groupId = this.getNewGroupId(draggingTarget, droppingTarget, layout);
+      newLayout = this.createNewGroup(
+        layout,
+        draggingTarget,
+        droppingTarget,
+        groupId
+      );
+    } else if (!draggingTarget.isGroup) {
+      // 일반 -> 그룹: 기존 그룹에 추가
+      groupId = droppingTarget.i;
+      newLayout = this.addToExistingGroup(
+        layout,
+        draggingTarget,
+        droppingTarget
+      );
+    } else if (!droppingTarget.isGroup) {
+      // 그룹 -> 일반: 드래그한 그룹이 타겟 아이템을 흡수
+      groupId = draggingTarget.i;
+      newLayout = this.absorbIntoGroup(layout, draggingTarget, droppingTarget);
+    } else {
+      // 그룹 -> 그룹: 두 그룹의 자식 목록을 합침
+      groupId = droppingTarget.i;
+      newLayout = this.mergeGroups(layout, draggingTarget, droppingTarget);
     }
 
-    // 일반 -> 그룹: 기존 그룹에 추가
-    if (!draggingTarget.isGroup && droppingTarget.isGroup) {
-      return this.addToExistingGroup(layout, draggingTarget, droppingTarget);
+    if (newLayout === layout) return layout;
+
+    // 제안된 그룹을 앱에 알리고 거부되면 그룹화를 취소
+    const group = getLayoutItem(newLayout, groupId);
+    const callback =
+      draggingTarget.isGroup || droppingTarget.isGroup
+        ? this.props.onGroupAdd
+        : this.props.onGroupCreate;
+    if (group && callback(draggingTarget, droppingTarget, group) === false) {
+      return null;
     }
 
-    return layout;
-  };
+    return newLayout;
+  }
+
+  /**
+   * generateGroupId로 새 그룹 ID를 만듦
+   * 그룹 ID는 트리 전체에서 유일해야 하므로, 그룹 내부 그리드에서는 최상위 그리드의 레이아웃과 비교
+   * 드롭 중에 던지면 드래그 상태가 남으므로, 이미 쓰이는 ID면 경고하고 기본 생성기처럼 접미사를 붙임
+   */
+  getNewGroupId(
+    draggingItem: LayoutItem,
+    targetItem: LayoutItem,
+    layout: Layout
+  ): string {
+    const treeLayout = this.props.getTreeLayout
+      ? this.props.getTreeLayout()
+      : layout;
+    const groupId = this.props.generateGroupId(
+      draggingItem,
+      targetItem,
+      treeLayout
+    );
+    if (!layoutHasId(treeLayout, groupId)) return groupId;
+
+    const fallback = uniqueId(treeLayout, groupId);
+    if (process.env.NODE_ENV !== "production") {
+      console.warn(
+        // eslint-disable-line no-console
+        `ReactGridLayout: generateGroupId returned "${groupId}", which is already used in the layout. ` +
+          `Using "${fallback}" instead.`
+      );
+    }
+    return fallback;
+  }
 
   /**
    * 새로운 그룹 생성 (최적화된 버전)
@@ -1049,10 +1849,9 @@ export default class ReactGridLayout extends React.Component<Props, State> {
   createNewGroup = (
     layout: Layout,
     draggingItem: LayoutItem,
-    targetItem: LayoutItem
+    targetItem: LayoutItem,
+    groupId: string
   ): Layout => {
-    const groupId = `group-${Date.now()}`;
-
     // 기존 아이템들 제거
     const newLayout = layout.filter(
       item => item.i !== draggingItem.i && item.i !== targetItem.i
@@ -1083,13 +1882,66 @@ export default class ReactGridLayout extends React.Component<Props, State> {
     draggingItem: LayoutItem,
     targetGroup: LayoutItem
   ): Layout => {
-    const newLayout = layout.filter(item => item.i !== draggingItem.i);
+    return moveIntoGroup(
+      layout,
+      draggingItem.i,
+      targetGroup.i,
+      this.props.cols
+    );
+  };
+
+  /**
+   * 드래그한 그룹이 타겟 아이템을 흡수
+   * 그룹은 타겟 아이템(드롭된 위치)의 위치로 이동하고, 타겟은 마지막 자식으로 추가됨
+   */
+  absorbIntoGroup(
+    layout: Layout,
+    draggingGroup: LayoutItem,
+    targetItem: LayoutItem
+  ): Layout {
+    const newLayout = layout.filter(item => item.i !== targetItem.i);
+    const groupIndex = newLayout.findIndex(item => item.i === draggingGroup.i);
+
+    if (groupIndex === -1) return layout;
+
+    const movedGroup = { ...draggingGroup, x: targetItem.x, y: targetItem.y };
+    const allWidgets = [...getGroupChildren(draggingGroup), targetItem];
+    const expandedLayout = this.calculateExpandedGroupLayout(
+      allWidgets,
+      movedGroup
+    );
+
+    newLayout[groupIndex] = {
+      ...movedGroup,
+      children: expandedLayout.children,
+      w: expandedLayout.w,
+      h: expandedLayout.h
+    };
+    if (draggingGroup.groupMode === "tabs") {
+      newLayout[groupIndex].activeTab = targetItem.i;
+    }
+
+    return newLayout;
+  }
+
+  /**
+   * 드래그한 그룹의 자식들을 타겟 그룹으로 합침
+   * 타겟 그룹의 ID와 위치를 유지하고, 드래그한 그룹은 제거됨
+   */
+  mergeGroups(
+    layout: Layout,
+    draggingGroup: LayoutItem,
+    targetGroup: LayoutItem
+  ): Layout {
+    const newLayout = layout.filter(item => item.i !== draggingGroup.i);
     const groupIndex = newLayout.findIndex(item => item.i === targetGroup.i);
 
     if (groupIndex === -1) return layout;
 
-    // 그룹 업데이트 (불변성 유지)
-    const allWidgets = [...targetGroup.children, draggingItem];
+    const allWidgets = [
+      ...getGroupChildren(targetGroup),
+      ...getGroupChildren(draggingGroup)
+    ];
     const expandedLayout = this.calculateExpandedGroupLayout(
       allWidgets,
       targetGroup
@@ -1103,8 +1955,312 @@ export default class ReactGridLayout extends React.Component<Props, State> {
     };
 
     return newLayout;
+  }
+
+  /**
+   * 그룹 내부 아이템이 그룹 컨테이너 밖에서 드롭되면 그룹에서 꺼내
+   * 포인터가 가리키는 부모 그리드 셀에 배치
+   * 처리했다면 true를 반환하여 내부 그리드가 이동을 적용하지 않도록 함
+   */
+  onGroupItemDragOut: (string, LayoutItem, Event, HTMLElement) => boolean = (
+    groupId,
+    item,
+    e,
+    node
+  ) => {
+    // $FlowIgnore 드래그 이벤트는 마우스 좌표를 가짐
+    const mouseEvent: MouseEvent = e;
+    const groupContainer = node.closest(".react-grid-group-container");
+    if (!groupContainer) return false;
+
+    // 포인터가 아직 그룹 안에 있으면 일반적인 그룹 내부 이동
+    const groupRect = groupContainer.getBoundingClientRect();
+    if (
+      mouseEvent.clientX >= groupRect.left &&
+      mouseEvent.clientX <= groupRect.right &&
+      mouseEvent.clientY >= groupRect.top &&
+      mouseEvent.clientY <= groupRect.bottom
+    ) {
+      return false;
+    }
+
+    const { layout } = this.state;
+    const group = getLayoutItem(layout, groupId);
+    if (!group || !group.isGroup) return false;
+
+    // 포인터 위치는 그룹 컨테이너가 아니라 이 그리드의 컨테이너 기준
+    const pointer = this.getPointerOffset(mouseEvent);
+    if (!pointer) return false;
+
+    const { cols, margin, maxRows, rowHeight, width, containerPadding } =
+      this.props;
+    const positionParams: PositionParams = {
+      cols,
+      margin,
+      maxRows,
+      rowHeight,
+      containerWidth: width,
+      containerPadding: containerPadding || margin
+    };
+    const { x, y } = calcXY(
+      positionParams,
+      pointer.top,
+      pointer.left,
+      item.w,
+      item.h
+    );
+
+    // 마지막 자식을 빼내면 그룹이 해체되므로 앱에 먼저 확인
+    const remainingLayout = removeChildFromGroup(layout, groupId, item.i);
+    if (
+      !getLayoutItem(remainingLayout, groupId) &&
+      this.props.onGroupDissolve(group) === false
+    ) {
+      return false;
+    }
+
+    // 그룹에서 빼낸 아이템을 그룹 안에 있던 자리에 두고, 포인터 위치로 이동시켜 충돌을 처리
+    const released = getChildAbsolutePosition(group, item, cols);
+    const newLayout = moveElement(
+      [...remainingLayout, released],
+      released,
+      x,
+      y,
+      true,
+      this.props.preventCollision,
+      compactType(this.props),
+      cols,
+      this.props.allowOverlap
+    );
+
+    this.setState({
+      layout: this.props.allowOverlap
+        ? newLayout
+        : compact(newLayout, compactType(this.props), cols)
+    });
+    return true;
+  };
+
+  /**
+   * 최상위 그리드의 레이아웃. 그룹 내부 그리드는 부모에게서 받아 하위 그룹까지 같은 트리를 봄
+   */
+  getTreeLayout: () => Layout = () => {
+    const { getTreeLayout } = this.props;
+    return getTreeLayout ? getTreeLayout() : this.state.layout;
   };
 
+  /**
+   * 그룹 내부 그리드의 레이아웃 변경을 그룹의 children에 반영
+   * 부모 onLayoutChange는 componentDidUpdate에서 호출됨
+   */
+  onGroupLayoutChange(groupId: string, innerLayout: Layout): void {
+    const { layout } = this.state;
+    const { cols, allowOverlap } = this.props;
+
+    const newLayout = updateGroupChildren(layout, groupId, innerLayout);
+    if (newLayout === layout) return;
+
+    // 그룹 크기가 바뀌었을 수 있으므로 부모 레이아웃도 다시 압축
+    this.setState({
+      layout: allowOverlap
+        ? newLayout
+        : compact(newLayout, compactType(this.props), cols)
+    });
+  }
+
+  /**
+   * 그룹을 해제하고 자식들을 그룹이 있던 자리에 펼침
+   * onGroupDissolve가 false를 반환하면 그룹을 유지
+   */
+  ungroup(groupId: string): void {
+    const { layout } = this.state;
+    const { cols, allowOverlap } = this.props;
+
+    const group = getLayoutItem(layout, groupId);
+    if (!group || !group.isGroup) return;
+    if (this.props.onGroupDissolve(group) === false) return;
+
+    const newLayout = ungroupLayoutItem(layout, groupId, cols);
+
+    this.setState({
+      layout: allowOverlap
+        ? newLayout
+        : compact(newLayout, compactType(this.props), cols)
+    });
+  }
+
+  /**
+   * 최상위 아이템들을 새 그룹으로 묶음. 드래그로 묶을 때처럼 getNewGroupId로 ID를 만들고,
+   * 그룹인 아이템은 자식들로 풀어서 넣음
+   * 앱이 직접 요청한 것이므로 onGroupCreate는 호출하지 않음
+   * 만든 그룹 ID를 반환하고, 묶을 아이템이 두 개 미만이거나 이 그리드에서 그룹을 만들 수 없으면 null을 반환
+   */
+  groupItems(ids: string[]): ?string {
+    const { layout } = this.state;
+    const { cols, allowOverlap } = this.props;
+
+    // 드래그로 묶을 때와 같은 깊이 제한
+    if ((this.props.groupDepth || 0) >= this.props.maxGroupDepth) return null;
+    const items = layout.filter(item => ids.indexOf(item.i) !== -1);
+    if (items.length < 2) return null;
+
+    const groupId = this.getNewGroupId(items[0], items[1], layout);
+    const newLayout = groupItems(layout, ids, groupId, cols);
+    if (newLayout === layout) return null;
+
+    this.setState({
+      layout: allowOverlap
+        ? newLayout
+        : compact(newLayout, compactType(this.props), cols)
+    });
+    return groupId;
+  }
+
+  /**
+   * 최상위 아이템을 그룹에 넣음. 그룹을 넣으면 드래그로 합칠 때처럼 자식들을 합침
+   * onGroupAdd는 호출하지 않음
+   */
+  moveIntoGroup(id: string, groupId: string): void {
+    const { layout } = this.state;
+    const { cols, allowOverlap } = this.props;
+
+    const newLayout = moveIntoGroup(layout, id, groupId, cols);
+    if (newLayout === layout) return;
+
+    this.setState({
+      layout: allowOverlap
+        ? newLayout
+        : compact(newLayout, compactType(this.props), cols)
+    });
+  }
+
+  /**
+   * 그룹을 헤더 한 줄로 접고, 아래 아이템들이 올라오도록 압축
+   */
+  collapseGroup(groupId: string): void {
+    const { cols, allowOverlap } = this.props;
+    const newLayout = collapseGroupItem(this.state.layout, groupId);
+    if (newLayout === this.state.layout) return;
+
+    this.setState({
+      layout: allowOverlap
+        ? newLayout
+        : compact(newLayout, compactType(this.props), cols)
+    });
+  }
+
+  /**
+   * 접힌 그룹을 원래 높이로 펼치고, 겹치는 아이템은 moveElement로 그룹 아래로 밀어냄
+   */
+  expandGroup(groupId: string): void {
+    const { cols, preventCollision, allowOverlap } = this.props;
+    const expandedLayout = expandGroupItem(this.state.layout, groupId);
+    if (expandedLayout === this.state.layout) return;
+
+    // moveElement는 아이템을 직접 수정하므로 복제본에서 작업
+    let newLayout = cloneLayout(expandedLayout);
+    const group = getLayoutItem(newLayout, groupId);
+    if (!group) return;
+
+    if (!allowOverlap) {
+      getAllCollisions(newLayout, group)
+        .sort((a, b) => a.y - b.y)
+        .forEach(collision => {
+          newLayout = moveElement(
+            newLayout,
+            collision,
+            collision.x,
+            group.y + group.h,
+            true,
+            preventCollision,
+            compactType(this.props),
+            cols,
+            allowOverlap
+          );
+        });
+      newLayout = compact(newLayout, compactType(this.props), cols);
+    }
+
+    this.setState({ layout: newLayout });
+  }
+
+  /**
+   * 그룹의 접힘 상태를 뒤집음
+   */
+  toggleGroupCollapsed(groupId: string): void {
+    const group = getLayoutItem(this.state.layout, groupId);
+    if (!group || !group.isGroup) return;
+    if (group.collapsed) {
+      this.expandGroup(groupId);
+    } else {
+      this.collapseGroup(groupId);
+    }
+  }
+
+  /**
+   * 그룹 이름을 바꿈. onGroupRename이 false를 반환하면 이전 이름을 유지
+   */
+  renameGroup(groupId: string, title: string): void {
+    const { layout } = this.state;
+    const group = getLayoutItem(layout, groupId);
+    if (!group || !group.isGroup || group.title === title) return;
+    if (this.props.onGroupRename(group, title) === false) return;
+
+    this.setState({
+      layout: layout.map(item =>
+        item.i === groupId ? { ...item, title } : item
+      )
+    });
+  }
+
+  /**
+   * 탭 그룹에서 보여줄 탭을 바꿈
+   */
+  setActiveTab(groupId: string, childId: string): void {
+    const { layout } = this.state;
+    const group = getLayoutItem(layout, groupId);
+    if (!group || !group.isGroup || getActiveTab(group) === childId) return;
+    if (!getLayoutItem(getGroupChildren(group), childId)) return;
+
+    this.setState({
+      layout: layout.map(item =>
+        item.i === groupId ? { ...item, activeTab: childId } : item
+      )
+    });
+  }
+
+  /**
+   * 탭 그룹의 내용: 탭 목록과 선택된 자식을 렌더링
+   */
+  processGroupTabs(
+    group: LayoutItem,
+    children: ReactElement<any>[],
+    isArmed: boolean
+  ): ReactNode {
+    return renderGroupTabs({
+      layoutItem: group,
+      activeTab: getActiveTab(group),
+      onSelectTab: childId => this.setActiveTab(group.i, childId),
+      tabs: getGroupChildren(group).map(item => {
+        const element = children.find(element =>
+          this.matchChildWithLayoutItem(element, item.i)
+        );
+        return {
+          item,
+          content:
+            element ||
+            this.props.renderMissingGroupChild({
+              layoutItem: group,
+              children,
+              isArmed,
+              messages: this.getMessages(),
+              childItem: item
+            })
+        };
+      })
+    });
+  }
+
   /**
    * React child key와 layout item id를 매칭하는 헬퍼 함수
    * React는 key에 ".$" prefix를 붙이므로 이를 고려한 매칭
@@ -1132,144 +2288,31 @@ export default class ReactGridLayout extends React.Component<Props, State> {
    * 그룹 위치는 타겟 아이템(드롭된 위치)의 위치를 우선으로 함
    */
   createOptimalGroupLayout(draggingItem: LayoutItem, targetItem: LayoutItem) {
-    // 타겟 아이템의 위치를 그룹 위치로 사용 (상호작용 우선권)
-    const groupX = targetItem.x;
-    const groupY = targetItem.y;
-
-    // 두 아이템을 효율적으로 배치하는 알고리즘
-    // 가로 배치를 우선으로 시도 (동일한 열에 배치하기 위해)
-    const horizontalLayout = this.calculateHorizontalLayout(
-      draggingItem,
-      targetItem
-    );
-    const verticalLayout = this.calculateVerticalLayout(
-      draggingItem,
-      targetItem
-    );
-
-    // 가로 배치가 그리드 너비를 넘지 않으면 가로 배치 우선
-    const horizontalFitsInGrid = groupX + horizontalLayout.w <= this.props.cols;
-    const selectedLayout = horizontalFitsInGrid
-      ? horizontalLayout
-      : verticalLayout;
-
-    return {
-      groupPosition: { x: groupX, y: groupY },
-      groupSize: { w: selectedLayout.w, h: selectedLayout.h },
-      children: selectedLayout.children
-    };
-  }
-
-  /**
-   * 두 아이템을 가로로 배치하는 레이아웃 계산
-   */
-  calculateHorizontalLayout(item1: LayoutItem, item2: LayoutItem) {
-    const totalWidth = item1.w + item2.w;
-    const maxHeight = Math.max(item1.h, item2.h);
-
-    return {
-      w: totalWidth,
-      h: maxHeight,
-      children: [
-        {
-          ...item1,
-          x: 0,
-          y: 0
-        },
-        {
-          ...item2,
-          x: item1.w,
-          y: 0
-        }
-      ]
-    };
-  }
-
-  /**
-   * 두 아이템을 세로로 배치하는 레이아웃 계산
-   */
-  calculateVerticalLayout(item1: LayoutItem, item2: LayoutItem) {
-    const maxWidth = Math.max(item1.w, item2.w);
-    const totalHeight = item1.h + item2.h;
-
-    return {
-      w: maxWidth,
-      h: totalHeight,
-      children: [
-        {
-          ...item1,
-          x: 0,
-          y: 0
-        },
-        {
-          ...item2,
-          x: 0,
-          y: item1.h
-        }
-      ]
-    };
+    return createOptimalGroupLayout(draggingItem, targetItem, this.props.cols);
   }
 
   /**
    * 기존 그룹에 새로운 위젯을 추가할 때 확장된 그룹 레이아웃을 계산
-   * 가로 배치를 우선으로 하되, 그리드 너비를 초과하면 다음 줄로 배치
    */
   calculateExpandedGroupLayout(
     allWidgets: LayoutItem[],
     existingGroup: LayoutItem
-  ) {
-    const maxCols = this.props.cols;
-    const groupStartX = existingGroup.x;
-
-    // 위젯들을 가로 우선으로 배치
-    let currentX = 0;
-    let currentY = 0;
-    let maxWidth = 0;
-    let maxHeight = 0;
-
-    const arrangedChildren = allWidgets.map(widget => {
-      // 현재 위젯이 현재 줄에 들어갈 수 있는지 확인
-      // 그룹의 시작 위치 + 현재 X + 위젯 너비가 전체 컬럼을 넘지 않아야 함
-      const wouldFitInCurrentRow = groupStartX + currentX + widget.w <= maxCols;
-
-      if (!wouldFitInCurrentRow && currentX > 0) {
-        // 다음 줄로 이동
-        currentX = 0;
-        currentY += 2; // 일반적인 위젯 높이를 2로 가정 (또는 이전 줄의 최대 높이 사용)
-      }
-
-      const arrangedWidget = {
-        ...widget,
-        x: currentX,
-        y: currentY
-      };
-
-      // 다음 위젯을 위해 X 위치 업데이트
-      currentX += widget.w;
-
-      // 전체 그룹 크기 추적
-      maxWidth = Math.max(maxWidth, currentX);
-      maxHeight = Math.max(maxHeight, currentY + widget.h);
-
-      return arrangedWidget;
-    });
-
-    return {
-      w: maxWidth,
-      h: maxHeight,
-      children: arrangedChildren
-    };
+  ): { w: number, h: number, children: Layout } {
+    return calculateExpandedGroupLayout(
+      allWidgets,
+      existingGroup,
+      this.props.cols
+    );
   }
 
-  processGroupItem(
-    key: string,
-    children: ReactElement<any>[],
-    layout: LayoutChild[]
-  ) {
-    // 그룹 내부 레이아웃의 최대 너비 계산 (두 위젯이 나란히 배치될 수 있도록)
-    const groupCols = layout.reduce((maxCols, item) => {
-      return Math.max(maxCols, item.x + item.w);
-    }, 1);
+  processGroupItem(key: string, children: ReactElement<any>[], layout: Layout) {
+    const group = getLayoutItem(this.state.layout, key);
+    if (!group) return null;
+
+    // 내부 그리드는 그룹이 차지하는 칸 수만큼의 컬럼을 가짐
+    // 자식들이 그룹보다 좁더라도 그룹 너비를 기준으로 해야 리사이즈한 그룹과 자식 배치가 맞음
+    // 부모 그리드보다 넓어지지 않도록 부모 cols로 제한
+    const groupCols = Math.max(1, Math.min(group.w, this.props.cols));
 
     // 부모 그리드 아이템이 실제로 차지하는 픽셀 너비를 계산
     // 이는 그룹 컨테이너가 100%로 차지하는 실제 너비입니다
@@ -1288,68 +2331,149 @@ export default class ReactGridLayout extends React.Component<Props, State> {
       parentColWidth * parentGroupCols +
       this.props.margin[0] * (parentGroupCols - 1);
 
+    const { groupingTarget, isGroupDroppable } = this.state;
+    const isArmed = groupingTarget === key && isGroupDroppable;
+
+    // 앱이 그룹별로 내부 그리드 설정을 바꿀 수 있음
+    const { groupGridProps } = this.props;
+    const gridPropsOverride =
+      typeof groupGridProps === "function"
+        ? groupGridProps(group)
+        : groupGridProps;
+
+    // 내부 그리드는 부모 그리드의 설정을 물려받음
+    // 그룹 크기, 좌표 동기화에 쓰이는 props는 groupGridProps로 바꿀 수 없음
+    const innerGrid = (
+      <ReactGridLayout
+        rowHeight={this.props.rowHeight}
+        margin={this.props.margin}
+        isDraggable={this.props.isDraggable}
+        isResizable={this.props.isResizable}
+        isBounded={this.props.isBounded}
+        compactType={this.props.compactType}
+        verticalCompact={this.props.verticalCompact}
+        preventCollision={this.props.preventCollision}
+        allowOverlap={this.props.allowOverlap}
+        reflowMode={this.props.reflowMode}
+        collisionMode={this.props.collisionMode}
+        autoScroll={this.props.autoScroll}
+        autoScrollEdge={this.props.autoScrollEdge}
+        autoScrollSpeed={this.props.autoScrollSpeed}
+        isKeyboardAccessible={this.props.isKeyboardAccessible}
+        useCSSTransforms={this.props.useCSSTransforms}
+        transformScale={this.props.transformScale}
+        draggableHandle={this.props.draggableHandle}
+        resizeHandles={this.props.resizeHandles}
+        resizeHandle={this.props.resizeHandle}
+        maxGroupDepth={this.props.maxGroupDepth}
+        isGroupable={this.props.isGroupable}
+        groupingDelay={this.props.groupingDelay}
+        groupingThreshold={this.props.groupingThreshold}
+        groupingModifierKey={this.props.groupingModifierKey}
+        generateGroupId={this.props.generateGroupId}
+        renderGroupContainer={this.props.renderGroupContainer}
+        renderGroupingIndicator={this.props.renderGroupingIndicator}
+        renderMissingGroupChild={this.props.renderMissingGroupChild}
+        messages={this.props.messages}
+        onGroupCreate={this.props.onGroupCreate}
+        onGroupAdd={this.props.onGroupAdd}
+        onGroupDissolve={this.props.onGroupDissolve}
+        onGroupRename={this.props.onGroupRename}
+        groupGridProps={groupGridProps}
+        {...gridPropsOverride}
+        layout={layout}
+        cols={groupCols}
+        width={groupContainerWidth}
+        containerPadding={[0, 0]}
+        autoSize={true}
+        isGroup={true}
+        groupDepth={(this.props.groupDepth || 0) + 1}
+        getTreeLayout={this.getTreeLayout}
+        onLayoutChange={innerLayout =>
+          this.onGroupLayoutChange(key, innerLayout)
+        }
+        onGroupItemDragOut={(item, e, node) =>
+          this.onGroupItemDragOut(key, item, e, node)
+        }
+      >
+        {/* 하위 그룹의 자식도 함께 넘겨서 내부 그리드가 하위 그룹을 직접 렌더링하게 함 */}
+        {children
+          .map(element => (
+            <div
+              key={this.getCleanedKey(String(element.key))}
+              className="non-draggable"
+              style={{ width: "100%", height: "100%", overflow: "hidden" }}
+            >
+              {element}
+            </div>
+          ))
+          .concat(
+            layout
+              .filter(
+                item =>
+                  !item.isGroup &&
+                  !children.some(element =>
+                    this.matchChildWithLayoutItem(element, item.i)
+                  )
+              )
+              .map(item => (
+                <div key={item.i}>
+                  {this.props.renderMissingGroupChild({
+                    layoutItem: group,
+                    children,
+                    isArmed,
+                    messages: this.getMessages(),
+                    childItem: item
+                  })}
+                </div>
+              ))
+          )}
+      </ReactGridLayout>
+    );
+
+    // 탭 그룹은 내부 그리드 대신 탭으로 자식을 보여줌
+    const groupContent =
+      group.groupMode === "tabs"
+        ? this.processGroupTabs(group, children, isArmed)
+        : innerGrid;
+
     // 그룹 컨테이너를 위한 child 생성
     const groupChild = (
-      <div
-        key={key}
-        className="react-grid-group-container"
-        style={{
-          width: "100%",
-          height: "100%",
-          overflowX: "hidden",
-          overflowY: "auto"
-        }}
-      >
-        <button className="drag-handle">핸들</button>
-        <ReactGridLayout
-          layout={layout}
-          cols={groupCols}
-          width={groupContainerWidth}
-          rowHeight={this.props.rowHeight || 150}
-          margin={this.props.margin}
-          containerPadding={[0, 0]}
-          isDraggable={true}
-          isResizable={true}
-          autoSize={true}
-          isGroup={true}
-        >
-          {layout.map(item => {
-            const targetElement = children.find(element =>
-              this.matchChildWithLayoutItem(element, item.i)
-            );
-            return targetElement ? (
-              <div
-                key={item.i}
-                className="non-draggable"
-                style={{ width: "100%", height: "100%", overflow: "hidden" }}
-              >
-                {targetElement}
-              </div>
-            ) : (
-              <div
-                key={item.i}
-                style={{
-                  background: "#f0f0f0",
-                  display: "flex",
-                  alignItems: "center",
-                  justifyContent: "center",
-                  fontSize: "12px",
-                  color: "#666"
-                }}
-              >
-                Missing: {item.i}
-              </div>
-            );
-          })}
-        </ReactGridLayout>
-      </div>
+      <React.Fragment key={key}>
+        {this.props.renderGroupContainer({
+          layoutItem: group,
+          // 접힌 그룹은 헤더만 보여줌
+          children: group.collapsed ? null : groupContent,
+          isArmed,
+          messages: this.getMessages(),
+          onToggleCollapsed: () => this.toggleGroupCollapsed(key),
+          onRename: title => this.renameGroup(key, title)
+        })}
+      </React.Fragment>
     );
 
     return this.processGridItem(groupChild);
   }
 
+  // 기본 문구에 messages prop으로 받은 문구를 덮어씀
+  getMessages(): GridMessages {
+    return { ...defaultMessages, ...this.props.messages };
+  }
+
+  // 컨테이너 DOM을 보관하고 innerRef로도 넘김
+  setContainerRef: (HTMLDivElement | null) => void = node => {
+    this.containerNode = node;
+    const { innerRef } = this.props;
+    if (typeof innerRef === "function") {
+      innerRef(node);
+    } else if (innerRef && typeof innerRef === "object") {
+      innerRef.current = node;
+    }
+  };
+
   render(): React.Element<"div"> {
-    const { className, style, isDroppable, innerRef } = this.props;
+    const { className, style, isDroppable } = this.props;
+    const { marquee } = this.state;
 
     const mergedClassName = clsx(layoutClassName, className);
     const mergedStyle = {
@@ -1359,20 +2483,22 @@ export default class ReactGridLayout extends React.Component<Props, State> {
 
     return (
       <div
-        ref={innerRef}
+        ref={this.setContainerRef}
         className={mergedClassName}
         style={mergedStyle}
         onDrop={isDroppable ? this.onDrop : noop}
         onDragLeave={isDroppable ? this.onDragLeave : noop}
         onDragEnter={isDroppable ? this.onDragEnter : noop}
         onDragOver={isDroppable ? this.onDragOver : noop}
+        onMouseDown={this.onContainerMouseDown}
       >
         {this.state.layout.map(layoutItem => {
           const childrenArray = React.Children.toArray(this.props.children);
 
           if (layoutItem.isGroup) {
             // 그룹의 경우
-            const childrenIds = layoutItem.children.map(child => child.i);
+            // 하위 그룹의 자식까지 내부 그리드로 넘김
+            const childrenIds = getDescendantIds(layoutItem);
             const groupChildren = childrenArray.filter(child => {
               return childrenIds.some(childId =>
                 this.matchChildWithLayoutItem(child, childId)
@@ -1397,6 +2523,39 @@ export default class ReactGridLayout extends React.Component<Props, State> {
           this.state.droppingDOMNode &&
           this.processGridItem(this.state.droppingDOMNode, true)}
         {this.placeholder()}
+        {this.props.isKeyboardAccessible && (
+          <div
+            className="react-grid-live-region"
+            role="status"
+            aria-live="polite"
+            aria-atomic="true"
+            style={{
+              position: "absolute",
+              width: 1,
+              height: 1,
+              margin: -1,
+              padding: 0,
+              overflow: "hidden",
+              clip: "rect(0 0 0 0)",
+              whiteSpace: "nowrap",
+              border: 0
+            }}
+          >
+            {this.state.announcement}
+          </div>
+        )}
+        {marquee && (
+          <div
+            className="react-grid-selection-marquee"
+            style={{
+              position: "absolute",
+              left: marquee.left,
+              top: marquee.top,
+              width: marquee.width,
+              height: marquee.height
+            }}
+          />
+        )}
       </div>
     );
   }
@@ -3,17 +3,23 @@ import PropTypes from "prop-types";
 import type {
   ChildrenArray as ReactChildrenArray,
   Element as ReactElement,
+  Node as ReactNode,
   Ref
 } from "react";
 import React from "react";
 import type {
   CompactType,
   DragOverEvent,
+  DragStopCallback,
   EventCallback,
+  GroupCallback,
   Layout,
+  LayoutChild,
   LayoutItem,
   ResizeHandleAxis
 } from "./utils";
+import type { AutoScrollSpeed } from "./autoScrollUtils";
+import type { GridMessages } from "./messages";
 
 // util
 export type ReactRef<T: HTMLElement> = {|
@@ -45,6 +51,42 @@ export const resizeHandleAxesType: ReactPropsChainableTypeChecker =
 export const resizeHandleType: ReactPropsChainableTypeChecker =
   PropTypes.oneOfType([PropTypes.node, PropTypes.func]);
 
+// Arguments passed to the group render props.
+// `layoutItem` is the group (or, for the indicator, the hovered target), `children` is what
+// would be rendered inside it, and `isArmed` is true once a drop would group into it.
+// `messages` is the grid's text, the defaults merged with the `messages` prop.
+export type GroupRenderProps = {|
+  layoutItem: LayoutItem,
+  children: ReactNode,
+  isArmed: boolean,
+  messages: GridMessages
+|};
+
+// The group container additionally gets `onToggleCollapsed`, which collapses or expands the group,
+// and `onRename`, which sets the group's `title`.
+export type GroupContainerRenderProps = {|
+  ...GroupRenderProps,
+  onToggleCollapsed: () => void,
+  onRename: (title: string) => void
+|};
+
+export type MissingGroupChildRenderProps = {|
+  ...GroupRenderProps,
+  childItem: LayoutChild
+|};
+
+// Passed to `onDrop` as the fourth argument. If the dropped item landed on a grouping target,
+// `groupId` is the group it was put in and `isNewGroup` tells whether that group was just created.
+export type DropGroupInfo = {|
+  groupId: ?string,
+  isNewGroup: boolean
+|};
+
+export type GroupingModifierKey = "shift" | "alt" | "ctrl" | "meta";
+
+export type ReflowMode = "live" | "onDrop";
+export type CollisionMode = "push" | "swap";
+
 export type Props = {|
   className: string,
   style: Object,
@@ -71,22 +113,66 @@ export type Props = {|
   resizeHandles: ResizeHandleAxis[],
   resizeHandle?: ResizeHandle,
   allowOverlap: boolean,
+  reflowMode: ReflowMode,
+  collisionMode: CollisionMode,
+  autoScroll: boolean,
+  autoScrollEdge: number,
+  autoScrollSpeed: AutoScrollSpeed,
+  isSelectable: boolean,
+  selectedIds: ?(string[]),
+  onSelectionChange: (ids: string[]) => void,
+  isKeyboardAccessible: boolean,
 
   // Callbacks
   onLayoutChange: Layout => void,
   onDrag: EventCallback,
   onDragStart: EventCallback,
-  onDragStop: EventCallback,
+  onDragStop: DragStopCallback,
   onResize: EventCallback,
   onResizeStart: EventCallback,
   onResizeStop: EventCallback,
   onDropDragOver: (e: DragOverEvent) => ?({| w?: number, h?: number |} | false),
-  onDrop: (layout: Layout, item: ?LayoutItem, e: Event) => void,
+  onDrop: (
+    layout: Layout,
+    item: ?LayoutItem,
+    e: Event,
+    groupInfo: DropGroupInfo
+  ) => void,
+  getDroppedItemId: (item: LayoutItem, e: Event) => ?string,
+  onGroupCreate: GroupCallback,
+  onGroupAdd: GroupCallback,
+  onGroupDissolve: (group: LayoutItem) => ?boolean,
+  onGroupRename: (group: LayoutItem, title: string) => ?boolean,
   children: ReactChildrenArray<ReactElement<any>>,
   innerRef?: Ref<"div">,
 
   // Group
-  isGroup?: boolean
+  isGroupable: boolean,
+  groupingDelay: number,
+  groupingThreshold: number,
+  groupingModifierKey: ?GroupingModifierKey,
+  maxGroupDepth: number,
+  groupGridProps: ?($Shape<Props> | ((group: LayoutItem) => $Shape<Props>)),
+  generateGroupId: (
+    draggedItem: LayoutItem,
+    targetItem: LayoutItem,
+    layout: Layout
+  ) => string,
+  renderGroupContainer: GroupContainerRenderProps => ReactNode,
+  renderGroupingIndicator: GroupRenderProps => ReactNode,
+  renderMissingGroupChild: MissingGroupChildRenderProps => ReactNode,
+  messages: ?$Shape<GridMessages>,
+  isGroup?: boolean,
+  // 그룹 내부 그리드 전용: 최상위 그리드는 0, 그룹 안의 그리드는 1, 하위 그룹 안은 2...
+  groupDepth?: number,
+  // 그룹 내부 그리드 전용: 최상위 그리드의 레이아웃을 돌려줌 (새 그룹 ID를 트리 전체에서 유일하게 만들 때 사용)
+  getTreeLayout?: () => Layout,
+  // 그룹 내부 그리드 전용: 아이템이 그룹 밖에서 드롭되었을 때 부모 그리드에 위임
+  onGroupItemDragOut?: (
+    item: LayoutItem,
+    e: Event,
+    node: HTMLElement
+  ) => boolean
 |};
 
 export type DefaultProps = $Diff<
@@ -176,6 +262,36 @@ export default {
   allowOverlap: PropTypes.bool,
   // If true, grid items won't change position when being dragged over.
   preventCollision: PropTypes.bool,
+  // "live" moves other items out of the way while dragging, "onDrop" (default) only when the item is dropped.
+  // Live reflow pauses only once grouping is armed over a target.
+  reflowMode: (PropTypes.oneOf([
+    "live",
+    "onDrop"
+  ]): ReactPropsChainableTypeChecker),
+  // "push" (default) moves colliding items out of the way. "swap" exchanges the dragged item's
+  // position with the one item it is dropped onto, and falls back to pushing otherwise.
+  collisionMode: (PropTypes.oneOf([
+    "push",
+    "swap"
+  ]): ReactPropsChainableTypeChecker),
+  // If true, dragging an item near the edge of its scroll container (or the window) scrolls it.
+  autoScroll: PropTypes.bool,
+  // Size in px of the edge area that triggers auto-scroll.
+  autoScrollEdge: PropTypes.number,
+  // Maps how deep the pointer is in the edge area (0 to 1) to px scrolled per frame.
+  autoScrollSpeed: PropTypes.func,
+  // If true, items can be selected by clicking them (Shift/Ctrl/Cmd to add or remove)
+  // or by dragging a marquee over empty space, and dragging a selected item moves the whole selection.
+  isSelectable: PropTypes.bool,
+  // Controlled selection. If set, the grid shows these ids as selected and only reports
+  // changes through onSelectionChange.
+  selectedIds: (PropTypes.arrayOf(
+    PropTypes.string
+  ): ReactPropsChainableTypeChecker),
+  onSelectionChange: PropTypes.func,
+  // If true, draggable/resizable items are focusable and can be moved (Enter/Space, arrows, Esc)
+  // and resized (Shift+arrows) from the keyboard. Results are announced through a live region.
+  isKeyboardAccessible: PropTypes.bool,
   // Use CSS transforms instead of top/left
   useCSSTransforms: PropTypes.bool,
   // parent layout transform scale
@@ -187,6 +303,50 @@ export default {
   resizeHandles: resizeHandleAxesType,
   resizeHandle: resizeHandleType,
 
+  //
+  // Grouping
+  //
+
+  // If false, dropping an item onto another never groups them. Can be overridden per item.
+  isGroupable: PropTypes.bool,
+  // How long (ms) the pointer has to rest over a target before grouping is armed. 0 arms instantly.
+  groupingDelay: PropTypes.number,
+  // How deep into the target the pointer has to be, from 0 (anywhere over it) to 1 (its center).
+  groupingThreshold: PropTypes.number,
+  // If set, grouping is only armed while this modifier key is held.
+  groupingModifierKey: (PropTypes.oneOf([
+    "shift",
+    "alt",
+    "ctrl",
+    "meta"
+  ]): ReactPropsChainableTypeChecker),
+  // How many levels of groups may be nested. 1 (default) means groups only contain items;
+  // 2 lets a group contain sub-groups, and so on.
+  maxGroupDepth: PropTypes.number,
+  // Props for the grid inside each group. By default it inherits the parent's drag, resize and
+  // compaction settings; these props are applied on top. May be a function of the group LayoutItem.
+  groupGridProps: (PropTypes.oneOfType([
+    PropTypes.object,
+    PropTypes.func
+  ]): ReactPropsChainableTypeChecker),
+  // Returns the id of a new group, with the signature (draggedItem, targetItem, layout).
+  // `layout` is the top-level grid's layout, so ids inside groups count too.
+  // An id already used anywhere in it gets a numeric suffix. Defaults to a unique `group-<timestamp>`.
+  generateGroupId: PropTypes.func,
+  // Renders the chrome around a group's inner grid.
+  // Receives ({layoutItem, children, isArmed, messages, onToggleCollapsed, onRename}).
+  // `children` is null while the group is collapsed.
+  // The outermost element should keep the `react-grid-group-container` class.
+  renderGroupContainer: PropTypes.func,
+  // Renders over the item the dragged item is hovering, e.g. an overlay once `isArmed`.
+  renderGroupingIndicator: PropTypes.func,
+  // Renders in place of a group child that has no matching element in `children`.
+  // Receives ({layoutItem, children, isArmed, messages, childItem}).
+  renderMissingGroupChild: PropTypes.func,
+  // Overrides the text of the default group chrome, e.g. to translate it.
+  // Entries that are not given keep their English defaults.
+  messages: PropTypes.object,
+
   //
   // Callbacks
   //
@@ -207,8 +367,22 @@ export default {
   onResize: PropTypes.func,
   // Calls when resize is complete.
   onResizeStop: PropTypes.func,
-  // Calls when some element is dropped.
+  // Calls when some element is dropped, with the signature (layout, item, e, {groupId, isNewGroup}).
+  // If the element was dropped onto a grouping target, `layout` holds the group with the item in it.
   onDrop: PropTypes.func,
+  // Returns the id for an element dropped from outside, with the signature (item, e).
+  // Applied before grouping and onDrop. Returning nothing keeps the `droppingItem` id.
+  getDroppedItemId: PropTypes.func,
+  // Calls before two items are grouped. Callback is of the signature (draggedItem, targetItem, group),
+  // where `group` is the proposed group LayoutItem. Return false to cancel the grouping.
+  onGroupCreate: PropTypes.func,
+  // Calls before an item or group is added to a group, with the same signature as onGroupCreate.
+  onGroupAdd: PropTypes.func,
+  // Calls before a group is dissolved, with the group LayoutItem. Return false to keep the group.
+  onGroupDissolve: PropTypes.func,
+  // Calls before a group's title is changed, with the signature (group, title).
+  // Return false to keep the old title.
+  onGroupRename: PropTypes.func,
 
   //
   // Other validations
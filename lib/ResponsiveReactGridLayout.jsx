@@ -15,6 +15,7 @@ import {
   getBreakpointFromWidth,
   getColsFromBreakpoint,
   findOrGenerateResponsiveLayout,
+  syncResponsiveGroups,
   type ResponsiveLayout,
   type OnLayoutChangeCallback,
   type Breakpoints
@@ -237,10 +238,21 @@ export default class ResponsiveReactGridLayout extends React.Component<
 
   // wrap layouts so we do not need to pass layouts to child
   onLayoutChange: Layout => void = (layout: Layout) => {
-    this.props.onLayoutChange(layout, {
-      ...this.props.layouts,
-      [this.state.breakpoint]: layout
+    const { cols, layouts, compactType } = this.props;
+    const newLayouts = { ...layouts, [this.state.breakpoint]: layout };
+
+    // Groups are shared by all breakpoints; their geometry follows each breakpoint's cols
+    Object.keys(layouts).forEach(breakpoint => {
+      if (breakpoint === this.state.breakpoint) return;
+      newLayouts[breakpoint] = syncResponsiveGroups(
+        layout,
+        layouts[breakpoint],
+        getColsFromBreakpoint(breakpoint, cols),
+        compactType
+      );
     });
+
+    this.props.onLayoutChange(layout, newLayouts);
   };
 
   /**
@@ -277,6 +289,14 @@ export default class ResponsiveReactGridLayout extends React.Component<
         compactType
       );
 
+      // Carry over groups made at the last breakpoint.
+      layout = syncResponsiveGroups(
+        this.state.layout,
+        layout,
+        newCols,
+        compactType
+      );
+
       // This adds missing items.
       layout = synchronizeLayoutWithChildren(
         layout,
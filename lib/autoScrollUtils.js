@@ -0,0 +1,123 @@
+// @flow
+
+export type ScrollContainer = HTMLElement;
+export type AutoScrollSpeed = (proximity: number) => number;
+
+type Rect = { top: number, left: number, bottom: number, right: number };
+
+const AUTO_SCROLL_MAX_SPEED = 20;
+
+/**
+ * 기본 자동 스크롤 속도 곡선입니다. 포인터가 가장자리에 가까울수록 제곱으로 빨라집니다.
+ *
+ * @param  {Number} proximity 가장자리 영역 안에서의 근접도. 0이면 영역 경계, 1이면 가장자리.
+ * @return {Number}           한 프레임에 스크롤할 픽셀 수.
+ */
+export function defaultAutoScrollSpeed(proximity: number): number {
+  return Math.ceil(proximity * proximity * AUTO_SCROLL_MAX_SPEED);
+}
+
+function isScrollable(node: HTMLElement): boolean {
+  const { overflowX, overflowY } = window.getComputedStyle(node);
+  return (
+    (/(auto|scroll)/.test(overflowY) &&
+      node.scrollHeight > node.clientHeight) ||
+    (/(auto|scroll)/.test(overflowX) && node.scrollWidth > node.clientWidth)
+  );
+}
+
+/**
+ * 노드를 감싸는 가장 가까운 스크롤 컨테이너를 찾습니다.
+ * overflow가 auto/scroll이고 실제로 넘치는 조상이 없으면 문서 스크롤 요소를 반환합니다.
+ *
+ * @param  {HTMLElement} node 드래그 중인 노드.
+ * @return {HTMLElement}      스크롤할 요소.
+ */
+export function getScrollContainer(node: HTMLElement): ScrollContainer {
+  const root = document.scrollingElement || document.documentElement;
+  let parent = node.parentElement;
+  while (
+    parent instanceof HTMLElement &&
+    parent !== root &&
+    parent !== document.body
+  ) {
+    if (isScrollable(parent)) return parent;
+    parent = parent.parentElement;
+  }
+  // $FlowIgnore 문서에는 항상 documentElement가 있음
+  return root;
+}
+
+function getVisibleRect(container: ScrollContainer): Rect {
+  const root = document.scrollingElement || document.documentElement;
+  if (container === root) {
+    return {
+      top: 0,
+      left: 0,
+      bottom: window.innerHeight,
+      right: window.innerWidth
+    };
+  }
+  const { top, left, bottom, right } = container.getBoundingClientRect();
+  return { top, left, bottom, right };
+}
+
+function getAxisVelocity(
+  pointer: number,
+  start: number,
+  end: number,
+  edge: number,
+  speed: AutoScrollSpeed
+): number {
+  // 컨테이너가 가장자리 두 개를 담기에 작으면 가운데를 기준으로 나눔
+  const size = Math.min(edge, (end - start) / 2);
+  if (size <= 0) return 0;
+  if (pointer < start + size) {
+    return -speed(Math.min(1, (start + size - pointer) / size));
+  }
+  if (pointer > end - size) {
+    return speed(Math.min(1, (pointer - (end - size)) / size));
+  }
+  return 0;
+}
+
+/**
+ * 포인터가 컨테이너 가장자리 영역 안에 있을 때 한 프레임에 스크롤할 양을 계산합니다.
+ *
+ * @param  {HTMLElement} container 스크롤 컨테이너.
+ * @param  {Object} pointer        { clientX, clientY } 포인터 위치.
+ * @param  {Number} edge           가장자리 영역의 크기(px).
+ * @param  {Function} speed        근접도(0~1)를 프레임당 픽셀 수로 바꾸는 함수.
+ * @return {Object}                { left, top } 프레임당 스크롤 양. 가장자리 밖이면 0.
+ */
+export function getAutoScrollVelocity(
+  container: ScrollContainer,
+  pointer: { clientX: number, clientY: number },
+  edge: number,
+  speed: AutoScrollSpeed
+): { left: number, top: number } {
+  const rect = getVisibleRect(container);
+  return {
+    left: getAxisVelocity(pointer.clientX, rect.left, rect.right, edge, speed),
+    top: getAxisVelocity(pointer.clientY, rect.top, rect.bottom, edge, speed)
+  };
+}
+
+/**
+ * 마우스/터치 이벤트에서 포인터 위치를 꺼냅니다.
+ *
+ * @param  {Event} e 드래그 이벤트.
+ * @return {Object}  { clientX, clientY }, 위치가 없으면 null.
+ */
+export function getPointerPosition(
+  e: Event
+): ?{ clientX: number, clientY: number } {
+  // 마우스 이벤트와 터치 이벤트를 모두 받음
+  const event: any = e;
+  const touch =
+    (event.touches && event.touches[0]) ||
+    (event.changedTouches && event.changedTouches[0]);
+  const source = touch || event;
+  if (typeof source.clientX !== "number") return null;
+  return { clientX: source.clientX, clientY: source.clientY };
+}
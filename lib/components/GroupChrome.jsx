@@ -0,0 +1,228 @@
+// @flow
+import * as React from "react";
+import type { Node as ReactNode } from "react";
+import clsx from "clsx";
+import type {
+  GroupContainerRenderProps,
+  GroupRenderProps,
+  MissingGroupChildRenderProps
+} from "../ReactGridLayoutPropTypes";
+import { getGroupChildren } from "../groupUtils";
+import type { LayoutItem } from "../utils";
+
+type GroupTitleProps = {|
+  title: string,
+  onRename: (title: string) => void
+|};
+
+type GroupTitleState = {|
+  editing: boolean,
+  draft: string
+|};
+
+/**
+ * Group title that can be renamed in place by double-clicking it.
+ * Enter or blur saves, Escape cancels, and an empty title is never saved.
+ * The input is marked non-draggable so typing in it doesn't start a group drag.
+ */
+export class GroupTitle extends React.Component<
+  GroupTitleProps,
+  GroupTitleState
+> {
+  state: GroupTitleState = {
+    editing: false,
+    draft: ""
+  };
+
+  startEditing: () => void = () => {
+    this.setState({ editing: true, draft: this.props.title });
+  };
+
+  commit: () => void = () => {
+    if (!this.state.editing) return;
+    const title = this.state.draft.trim();
+    this.setState({ editing: false });
+    if (title && title !== this.props.title) this.props.onRename(title);
+  };
+
+  onKeyDown: (e: SyntheticKeyboardEvent<HTMLInputElement>) => void = e => {
+    if (e.key === "Enter") {
+      this.commit();
+    } else if (e.key === "Escape") {
+      this.setState({ editing: false });
+    }
+  };
+
+  render(): ReactNode {
+    if (!this.state.editing) {
+      return (
+        <span
+          className="react-grid-group-title"
+          onDoubleClick={this.startEditing}
+        >
+          {this.props.title}
+        </span>
+      );
+    }
+    return (
+      <input
+        className="react-grid-group-title-input non-draggable"
+        value={this.state.draft}
+        autoFocus={true}
+        onChange={e => this.setState({ draft: e.target.value })}
+        onKeyDown={this.onKeyDown}
+        onBlur={this.commit}
+      />
+    );
+  }
+}
+
+type GroupTabsProps = {|
+  layoutItem: LayoutItem,
+  activeTab: ?string,
+  tabs: Array<{| item: LayoutItem, content: ReactNode |}>,
+  onSelectTab: (childId: string) => void
+|};
+
+/**
+ * Default group container: a one-line header above a scrollable area holding the inner grid.
+ * The header has a drag handle, the group's title (or its id), the child count
+ * and a collapse/expand button.
+ * Custom containers must keep the `react-grid-group-container` class on their root element,
+ * it is used to detect items dragged out of the group.
+ */
+export function defaultRenderGroupContainer({
+  layoutItem,
+  children,
+  messages,
+  onToggleCollapsed,
+  onRename
+}: GroupContainerRenderProps): ReactNode {
+  return (
+    <div
+      className="react-grid-group-container"
+      style={{
+        width: "100%",
+        height: "100%",
+        overflowX: "hidden",
+        overflowY: "auto"
+      }}
+    >
+      <div
+        className="react-grid-group-header"
+        style={{ display: "flex", alignItems: "center", gap: "4px" }}
+      >
+        <button className="drag-handle">{messages.dragHandle}</button>
+        <GroupTitle
+          title={layoutItem.title || layoutItem.i}
+          onRename={onRename}
+        />
+        <span className="react-grid-group-count">
+          ({getGroupChildren(layoutItem).length})
+        </span>
+        <button className="react-grid-group-toggle" onClick={onToggleCollapsed}>
+          {layoutItem.collapsed ? messages.expandGroup : messages.collapseGroup}
+        </button>
+      </div>
+      {children}
+    </div>
+  );
+}
+
+/**
+ * Content of a tabbed group: the tab list and one panel per child.
+ * Inactive panels stay mounted, just hidden, so their children keep their state.
+ */
+export function renderGroupTabs({
+  activeTab,
+  tabs,
+  onSelectTab
+}: GroupTabsProps): ReactNode {
+  return (
+    <div
+      className="react-grid-group-tabs"
+      style={{ display: "flex", flexDirection: "column", height: "100%" }}
+    >
+      <div className="react-grid-group-tab-list" role="tablist">
+        {tabs.map(({ item }) => (
+          <button
+            key={item.i}
+            role="tab"
+            aria-selected={item.i === activeTab}
+            className={clsx("react-grid-group-tab", {
+              active: item.i === activeTab
+            })}
+            onClick={() => onSelectTab(item.i)}
+          >
+            {item.title || item.i}
+          </button>
+        ))}
+      </div>
+      {tabs.map(({ item, content }) => (
+        <div
+          key={item.i}
+          role="tabpanel"
+          className="react-grid-group-tab-panel non-draggable"
+          style={{
+            flex: 1,
+            overflow: "hidden",
+            display: item.i === activeTab ? "block" : "none"
+          }}
+        >
+          {content}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Default grouping indicator: a translucent overlay on the target once grouping is armed.
+ */
+export function defaultRenderGroupingIndicator({
+  isArmed,
+  messages
+}: GroupRenderProps): ReactNode {
+  if (!isArmed) return null;
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: 0,
+        left: 0,
+        width: "100%",
+        height: "100%",
+        backgroundColor: "black",
+        opacity: 0.3,
+        color: "white"
+      }}
+    >
+      {messages.groupingArmed}
+    </div>
+  );
+}
+
+/**
+ * Default placeholder for a group child that is in the layout but has no matching React child.
+ */
+export function defaultRenderMissingGroupChild({
+  childItem,
+  messages
+}: MissingGroupChildRenderProps): ReactNode {
+  return (
+    <div
+      style={{
+        width: "100%",
+        height: "100%",
+        background: "#f0f0f0",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        fontSize: "12px",
+        color: "#666"
+      }}
+    >
+      {messages.missingGroupChild(childItem.i)}
+    </div>
+  );
+}
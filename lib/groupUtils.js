@@ -0,0 +1,908 @@
+// @flow
+import React from "react";
+import {
+  bottom,
+  cloneLayoutItem,
+  compact,
+  getLayoutItem,
+  sortLayoutItemsByRowCol
+} from "./utils";
+
+import type { Layout, LayoutItem, ReactChildren } from "./utils";
+
+/**
+ * 그룹의 자식 레이아웃을 반환합니다. 그룹이 아니거나 자식이 없으면 빈 배열을 반환합니다.
+ *
+ * @param  {LayoutItem} group 그룹 레이아웃 아이템.
+ * @return {Array}            그룹 내부 그리드 기준 자식 레이아웃.
+ */
+export function getGroupChildren(group: LayoutItem): Layout {
+  return group.children || [];
+}
+
+/**
+ * 그룹에 속한 일반 아이템의 ID를 하위 그룹까지 모두 모아 반환합니다.
+ * 하위 그룹 자체의 ID는 React child가 없으므로 포함하지 않습니다.
+ *
+ * @param  {LayoutItem} group 그룹 레이아웃 아이템.
+ * @return {Array}            하위 그룹을 포함한 모든 일반 자식의 ID.
+ */
+export function getDescendantIds(group: LayoutItem): string[] {
+  const ids = [];
+  getGroupChildren(group).forEach(child => {
+    if (child.isGroup) {
+      ids.push(...getDescendantIds(child));
+    } else {
+      ids.push(child.i);
+    }
+  });
+  return ids;
+}
+
+/**
+ * 그룹 자식들이 차지하는 영역의 크기를 반환합니다.
+ * 자식 좌표는 그룹 내부 그리드 기준이므로 (0, 0)부터의 크기와 같습니다.
+ *
+ * @param  {Array} children 그룹 자식 레이아웃 배열.
+ * @return {Object}         { w, h } 그리드 단위 크기.
+ */
+export function getGroupChildrenBounds(children: Layout): {
+  w: number,
+  h: number
+} {
+  let w = 0;
+  for (let i = 0, len = children.length; i < len; i++) {
+    w = Math.max(w, children[i].x + children[i].w);
+  }
+  return { w, h: bottom(children) };
+}
+
+// 자식 목록을 바꾼 그룹을 반환합니다. 크기는 자식에 맞춰 다시 계산하되,
+// 탭 그룹은 크기를 유지하고, 접힌 그룹은 헤더 높이를 유지하고 펼쳤을 때의 높이(expandedH)만 갱신합니다.
+function withGroupChildren(group: LayoutItem, children: Layout): LayoutItem {
+  // 탭 그룹의 자식들은 그룹 영역을 그대로 채우므로 크기가 바뀌지 않음
+  if (group.groupMode === "tabs") return { ...group, children };
+  const { w, h } = getGroupChildrenBounds(children);
+  return group.collapsed
+    ? { ...group, children, w, expandedH: h }
+    : { ...group, children, w, h };
+}
+
+/**
+ * 그룹 자식을 부모 그리드 좌표로 변환합니다.
+ * 그룹 내부 그리드의 컬럼 너비와 행 높이는 부모와 같으므로 그룹 위치만큼 평행 이동하면 됩니다.
+ * 부모 그리드의 오른쪽 경계를 넘지 않도록 x를 보정합니다.
+ *
+ * @param  {LayoutItem} group 그룹 레이아웃 아이템.
+ * @param  {LayoutItem} child 그룹 자식.
+ * @param  {Number} cols      부모 그리드 컬럼 수.
+ * @return {LayoutItem}       부모 그리드 기준 레이아웃 아이템.
+ */
+export function getChildAbsolutePosition(
+  group: LayoutItem,
+  child: LayoutItem,
+  cols: number
+): LayoutItem {
+  const item = cloneLayoutItem(child);
+  item.x = Math.max(0, Math.min(group.x + child.x, cols - child.w));
+  item.y = group.y + child.y;
+  return item;
+}
+
+/**
+ * 그룹에서 자식 하나를 제거합니다. 남은 자식들을 그룹 내부에서 압축하고 그룹 크기를 다시 계산합니다.
+ * 자식이 하나도 남지 않으면 그룹 자체를 레이아웃에서 제거하고, 하나만 남으면 그 자식을 그룹 자리에 둡니다.
+ *
+ * 레이아웃을 수정하지 않습니다. 새로운 레이아웃을 반환합니다.
+ *
+ * @param  {Array}  layout  부모 레이아웃.
+ * @param  {String} groupId 그룹 ID.
+ * @param  {String} childId 제거할 자식 ID.
+ * @return {Array}          새로운 레이아웃.
+ */
+export function removeChildFromGroup(
+  layout: Layout,
+  groupId: string,
+  childId: string
+): Layout {
+  const group = getLayoutItem(layout, groupId);
+  if (!group || !group.isGroup) return layout;
+
+  const groupChildren = getGroupChildren(group);
+  const remaining = groupChildren.filter(child => child.i !== childId);
+  if (remaining.length === groupChildren.length) return layout;
+
+  if (remaining.length === 0) {
+    return layout.filter(item => item.i !== groupId);
+  }
+  // 멤버가 하나만 남으면 그룹을 풀고 남은 멤버를 그룹이 있던 자리에 아이템으로 둠
+  if (remaining.length === 1) {
+    const item = cloneLayoutItem(remaining[0]);
+    item.x = group.x;
+    item.y = group.y;
+    return layout.map(l => (l.i === groupId ? item : l));
+  }
+
+  // 빠진 자리를 메우도록 그룹 내부를 세로로 압축. 탭 그룹은 겹쳐 쌓여 있으므로 그대로 둠
+  const groupCols = getGroupChildrenBounds(groupChildren).w;
+  const children =
+    group.groupMode === "tabs"
+      ? remaining
+      : compact(remaining, "vertical", groupCols);
+
+  return layout.map(item =>
+    item.i === groupId ? withGroupChildren(item, children) : item
+  );
+}
+
+/**
+ * 그룹을 해제하고 자식들을 그룹이 있던 자리에 부모 레이아웃 아이템으로 펼칩니다.
+ * 자식들의 상대 위치는 유지됩니다. 겹침 해소는 호출하는 쪽의 compact에 맡깁니다.
+ *
+ * 레이아웃을 수정하지 않습니다. 새로운 레이아웃을 반환합니다.
+ *
+ * @param  {Array}  layout  부모 레이아웃.
+ * @param  {String} groupId 해제할 그룹 ID.
+ * @param  {Number} cols    부모 그리드 컬럼 수.
+ * @return {Array}          새로운 레이아웃.
+ */
+export function ungroupLayoutItem(
+  layout: Layout,
+  groupId: string,
+  cols: number
+): Layout {
+  const group = getLayoutItem(layout, groupId);
+  if (!group || !group.isGroup) return layout;
+
+  const newLayout = [];
+  for (let i = 0, len = layout.length; i < len; i++) {
+    const item = layout[i];
+    if (item.i !== groupId) {
+      newLayout.push(item);
+      continue;
+    }
+    getGroupChildren(group).forEach(child => {
+      newLayout.push(getChildAbsolutePosition(group, child, cols));
+    });
+  }
+  return newLayout;
+}
+
+/**
+ * 그룹 내부 그리드에서 바뀐 자식 배치를 그룹에 반영합니다.
+ * 기존 자식은 다른 필드를 유지하고 x, y, w, h만 갱신합니다.
+ * 하위 그룹은 cloneLayoutItem처럼 자식 목록, 접힘 상태, 표시 방식, 활성 탭, 이름과 meta도 갱신합니다.
+ * 내부 그리드에서 새로 만들어진 하위 그룹은 추가하고, 그 안으로 들어간 자식은 빠집니다.
+ * 그 뒤 그룹 크기를 다시 계산합니다. 바뀐 것이 없으면 같은 레이아웃을 그대로 반환합니다.
+ *
+ * @param  {Array}  layout      부모 레이아웃.
+ * @param  {String} groupId     그룹 ID.
+ * @param  {Array}  innerLayout 그룹 내부 그리드의 레이아웃.
+ * @return {Array}              새로운 레이아웃.
+ */
+export function updateGroupChildren(
+  layout: Layout,
+  groupId: string,
+  innerLayout: Layout
+): Layout {
+  const group = getLayoutItem(layout, groupId);
+  if (!group || !group.isGroup) return layout;
+
+  const groupChildren = getGroupChildren(group);
+  let changed = innerLayout.length !== groupChildren.length;
+  const children = innerLayout.map(next => {
+    const child = getLayoutItem(groupChildren, next.i);
+    if (!child) {
+      changed = true;
+      return cloneLayoutItem(next);
+    }
+    if (
+      next.x === child.x &&
+      next.y === child.y &&
+      next.w === child.w &&
+      next.h === child.h &&
+      next.children === child.children &&
+      next.collapsed === child.collapsed &&
+      next.expandedH === child.expandedH &&
+      next.groupMode === child.groupMode &&
+      next.activeTab === child.activeTab &&
+      next.title === child.title &&
+      next.meta === child.meta
+    ) {
+      return child;
+    }
+    changed = true;
+    const updated = { ...child, x: next.x, y: next.y, w: next.w, h: next.h };
+    if (next.isGroup) {
+      updated.children = next.children;
+      updated.collapsed = next.collapsed;
+      updated.expandedH = next.expandedH;
+      updated.groupMode = next.groupMode;
+      updated.activeTab = next.activeTab;
+      updated.title = next.title;
+      updated.meta = next.meta;
+    }
+    return updated;
+  });
+  if (!changed) return layout;
+
+  return layout.map(item =>
+    item.i === groupId ? withGroupChildren(item, children) : item
+  );
+}
+
+/**
+ * 그룹을 헤더 한 줄 높이로 접습니다. 원래 높이는 그룹의 expandedH에 보관합니다.
+ * 그룹이 아니거나 이미 접혀 있으면 같은 레이아웃을 그대로 반환합니다.
+ *
+ * 레이아웃을 수정하지 않습니다. 새로운 레이아웃을 반환합니다.
+ *
+ * @param  {Array}  layout  부모 레이아웃.
+ * @param  {String} groupId 접을 그룹 ID.
+ * @return {Array}          새로운 레이아웃.
+ */
+export function collapseGroupItem(layout: Layout, groupId: string): Layout {
+  const group = getLayoutItem(layout, groupId);
+  if (!group || !group.isGroup || group.collapsed) return layout;
+
+  return layout.map(item =>
+    item.i === groupId
+      ? { ...item, collapsed: true, expandedH: item.h, h: 1 }
+      : item
+  );
+}
+
+/**
+ * 접힌 그룹을 expandedH 높이로 펼칩니다. expandedH가 없으면 자식들이 차지하는 높이를 사용합니다.
+ * 그룹이 아니거나 접혀 있지 않으면 같은 레이아웃을 그대로 반환합니다.
+ * 펼친 그룹과 겹치는 아이템은 호출하는 쪽에서 처리해야 합니다.
+ *
+ * 레이아웃을 수정하지 않습니다. 새로운 레이아웃을 반환합니다.
+ *
+ * @param  {Array}  layout  부모 레이아웃.
+ * @param  {String} groupId 펼칠 그룹 ID.
+ * @return {Array}          새로운 레이아웃.
+ */
+export function expandGroupItem(layout: Layout, groupId: string): Layout {
+  const group = getLayoutItem(layout, groupId);
+  if (!group || !group.isGroup || !group.collapsed) return layout;
+
+  const h =
+    group.expandedH || getGroupChildrenBounds(getGroupChildren(group)).h;
+  return layout.map(item =>
+    item.i === groupId
+      ? { ...item, collapsed: false, expandedH: undefined, h }
+      : item
+  );
+}
+
+/**
+ * 레이아웃에서 주어진 ID가 이미 쓰이고 있는지 확인합니다. 하위 그룹까지 그룹 자식의 ID도 포함합니다.
+ *
+ * @param  {Array}  layout 레이아웃.
+ * @param  {String} id     확인할 ID.
+ * @return {Boolean}       사용 중이면 true.
+ */
+export function layoutHasId(layout: Layout, id: string): boolean {
+  for (let i = 0, len = layout.length; i < len; i++) {
+    const item = layout[i];
+    if (item.i === id) return true;
+    if (layoutHasId(getGroupChildren(item), id)) return true;
+  }
+  return false;
+}
+
+/**
+ * 기본 그룹 ID 생성기. `group-<timestamp>` 형식을 사용하고,
+ * 같은 ID가 이미 레이아웃에 있으면 `-1`, `-2`... 접미사를 붙여 유일하게 만듭니다.
+ * 그리드는 하위 그룹을 만들 때도 최상위 레이아웃을 넘기므로 그룹 자식까지 트리 전체에서 유일합니다.
+ *
+ * @param  {LayoutItem} draggedItem 드래그한 아이템.
+ * @param  {LayoutItem} targetItem  드롭된 타겟 아이템.
+ * @param  {Array}      layout      최상위 그리드의 레이아웃.
+ * @return {String}                 새 그룹 ID.
+ */
+export function generateGroupId(
+  draggedItem: LayoutItem,
+  targetItem: LayoutItem,
+  layout: Layout
+): string {
+  return uniqueId(layout, `group-${Date.now()}`);
+}
+
+/**
+ * ID가 레이아웃 안에서 이미 쓰이고 있으면 `-1`, `-2`... 접미사를 붙여 유일하게 만듭니다.
+ *
+ * @param  {Array}  layout 레이아웃.
+ * @param  {String} base   원하는 ID.
+ * @return {String}        레이아웃에 없는 ID.
+ */
+export function uniqueId(layout: Layout, base: string): string {
+  let id = base;
+  for (let n = 1; layoutHasId(layout, id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * 그룹 자식들을 주어진 너비 안에 스카이라인 방식으로 배치합니다.
+ * 각 자식을 순서대로, 현재 스카이라인에서 가장 낮은 자리(같으면 가장 왼쪽)에 놓습니다.
+ * 자식의 실제 높이를 사용하고 minW/minH보다 작게 만들지 않습니다.
+ * 너비보다 넓은 자식은 너비에 맞춰 줄입니다.
+ *
+ * @param  {Array}  children 배치할 자식들. 이 순서대로 배치됩니다.
+ * @param  {Number} width    그룹 내부 그리드의 컬럼 수.
+ * @return {Array}           배치된 자식들.
+ */
+export function skylinePack(children: Layout, width: number): Layout {
+  const skyline = new Array(width).fill(0);
+
+  return children.map(child => {
+    const w = Math.min(Math.max(child.w, child.minW || 0), width);
+    const h = Math.max(child.h, child.minH || 0);
+
+    // 자식이 놓일 구간의 가장 높은 스카이라인이 가장 낮은 x를 찾음
+    let bestX = 0;
+    let bestY = Infinity;
+    for (let x = 0; x + w <= width; x++) {
+      const y = Math.max(...skyline.slice(x, x + w));
+      if (y < bestY) {
+        bestX = x;
+        bestY = y;
+      }
+    }
+
+    for (let x = bestX; x < bestX + w; x++) {
+      skyline[x] = bestY + h;
+    }
+    return { ...child, x: bestX, y: bestY, w, h };
+  });
+}
+
+/**
+ * 그룹 자식들을 배치할 너비를 고르고 skylinePack으로 배치합니다.
+ * maxWidth를 넘지 않는 너비들 중 이전 그룹 크기와 가장 가까운 결과를 고르고,
+ * 같으면 면적이 작은 쪽을 고릅니다. 이전 크기가 없으면 면적이 가장 작은 결과를 고릅니다.
+ *
+ * @param  {Array}  children     배치할 자식들.
+ * @param  {Number} maxWidth     그룹이 차지할 수 있는 최대 컬럼 수.
+ * @param  {Object} previousSize 이전 그룹 크기 { w, h }.
+ * @return {Object}              { w, h, children }.
+ */
+export function packGroupChildren(
+  children: Layout,
+  maxWidth: number,
+  previousSize: ?{ w: number, h: number }
+): {| w: number, h: number, children: Layout |} {
+  let minWidth = 1;
+  for (let i = 0, len = children.length; i < len; i++) {
+    minWidth = Math.max(minWidth, children[i].w, children[i].minW || 0);
+  }
+  maxWidth = Math.max(1, maxWidth);
+  minWidth = Math.min(minWidth, maxWidth);
+
+  let best = null;
+  let bestScore = Infinity;
+  let bestArea = Infinity;
+  for (let width = minWidth; width <= maxWidth; width++) {
+    const packed = skylinePack(children, width);
+    const { w, h } = getGroupChildrenBounds(packed);
+    const score = previousSize
+      ? Math.abs(w - previousSize.w) + Math.abs(h - previousSize.h)
+      : 0;
+    if (score < bestScore || (score === bestScore && w * h < bestArea)) {
+      best = { w, h, children: packed };
+      bestScore = score;
+      bestArea = w * h;
+    }
+  }
+
+  // minWidth <= maxWidth이므로 항상 한 번은 배치됨
+  return best || { w: 0, h: 0, children: [] };
+}
+
+/**
+ * 탭 그룹의 자식들을 그룹 영역에 겹쳐 쌓습니다.
+ * 모든 자식이 (0, 0)에 놓이고 그룹 크기를 가지므로, 그룹 크기는 바뀌지 않습니다.
+ *
+ * @param  {Array}  children 탭이 될 자식들. 이 순서가 탭 순서입니다.
+ * @param  {Number} w        그룹 너비.
+ * @param  {Number} h        그룹 높이.
+ * @return {Object}          { w, h, children }.
+ */
+export function stackGroupTabs(
+  children: Layout,
+  w: number,
+  h: number
+): {| w: number, h: number, children: Layout |} {
+  return {
+    w,
+    h,
+    children: children.map(child => ({ ...child, x: 0, y: 0, w, h }))
+  };
+}
+
+/**
+ * 두 아이템으로 만들 그룹의 배치를 계산합니다. 그룹 위치는 타겟 아이템(드롭된 위치)의 위치입니다.
+ * 가로로 나란히 놓아 부모 그리드 너비를 넘지 않으면 가로 배치를, 넘으면 세로 배치를 사용합니다.
+ *
+ * @param  {LayoutItem} draggingItem 드래그한 아이템.
+ * @param  {LayoutItem} targetItem   타겟 아이템. 그룹의 첫 번째 자식이 됩니다.
+ * @param  {Number}     cols         부모 그리드 컬럼 수.
+ * @return {Object}                  { groupPosition, groupSize, children }.
+ */
+export function createOptimalGroupLayout(
+  draggingItem: LayoutItem,
+  targetItem: LayoutItem,
+  cols: number
+): {
+  groupPosition: { x: number, y: number },
+  groupSize: { w: number, h: number },
+  children: Layout
+} {
+  // 타겟 아이템의 위치를 그룹 위치로 사용 (상호작용 우선권)
+  const groupX = targetItem.x;
+  const groupY = targetItem.y;
+
+  // 가로 배치가 그리드 너비를 넘지 않으면 가로 배치 우선
+  const selectedLayout =
+    groupX + draggingItem.w + targetItem.w <= cols
+      ? layoutSideBySide(draggingItem, targetItem)
+      : layoutStacked(draggingItem, targetItem);
+
+  return {
+    groupPosition: { x: groupX, y: groupY },
+    groupSize: { w: selectedLayout.w, h: selectedLayout.h },
+    children: selectedLayout.children
+  };
+}
+
+// 두 아이템을 가로로 나란히 배치합니다.
+function layoutSideBySide(
+  item1: LayoutItem,
+  item2: LayoutItem
+): {| w: number, h: number, children: Layout |} {
+  return {
+    w: item1.w + item2.w,
+    h: Math.max(item1.h, item2.h),
+    children: [
+      { ...item1, x: 0, y: 0 },
+      { ...item2, x: item1.w, y: 0 }
+    ]
+  };
+}
+
+// 두 아이템을 세로로 쌓아 배치합니다.
+function layoutStacked(
+  item1: LayoutItem,
+  item2: LayoutItem
+): {| w: number, h: number, children: Layout |} {
+  return {
+    w: Math.max(item1.w, item2.w),
+    h: item1.h + item2.h,
+    children: [
+      { ...item1, x: 0, y: 0 },
+      { ...item2, x: 0, y: item1.h }
+    ]
+  };
+}
+
+/**
+ * 기존 그룹에 아이템을 더할 때 확장된 그룹 배치를 계산합니다.
+ * 그룹이 부모 그리드 오른쪽 경계를 넘지 않는 범위에서, 기존 그룹 크기에 가장 가깝게 배치합니다.
+ * 탭 그룹은 다시 배치하지 않고 그룹 영역에 탭으로 쌓습니다.
+ *
+ * @param  {Array}      allWidgets    그룹의 새 자식 전체.
+ * @param  {LayoutItem} existingGroup 기존 그룹.
+ * @param  {Number}     cols          부모 그리드 컬럼 수.
+ * @return {Object}                   { w, h, children }.
+ */
+export function calculateExpandedGroupLayout(
+  allWidgets: Layout,
+  existingGroup: LayoutItem,
+  cols: number
+): {| w: number, h: number, children: Layout |} {
+  if (existingGroup.groupMode === "tabs") {
+    return stackGroupTabs(allWidgets, existingGroup.w, existingGroup.h);
+  }
+  return packGroupChildren(allWidgets, cols - existingGroup.x, existingGroup);
+}
+
+// 그룹은 자식들로 바꾸고 일반 아이템은 그대로 둠
+function flattenGroups(items: Layout): LayoutItem[] {
+  const members = [];
+  items.forEach(item => {
+    if (item.isGroup) {
+      members.push(...getGroupChildren(item));
+    } else {
+      members.push(item);
+    }
+  });
+  return members;
+}
+
+/**
+ * 레이아웃의 아이템들을 새 그룹으로 묶습니다. 그룹은 아이템들을 감싸는 영역의 왼쪽 위에 놓입니다.
+ * 처음 두 아이템(위에서 아래, 왼쪽에서 오른쪽 순)은 createOptimalGroupLayout으로,
+ * 나머지는 calculateExpandedGroupLayout으로 배치합니다.
+ * 그룹인 아이템은 드래그로 그룹을 합칠 때처럼 자식들로 풀어서 넣으므로 그룹이 더 깊어지지 않습니다.
+ * 레이아웃 최상위에 있는 아이템이 두 개 미만이거나 groupId가 이미 쓰이고 있으면
+ * 같은 레이아웃을 그대로 반환합니다.
+ * 겹침 해소는 호출하는 쪽의 compact에 맡깁니다.
+ *
+ * @param  {Array}  layout  레이아웃.
+ * @param  {Array}  ids     묶을 아이템 ID 목록.
+ * @param  {String} groupId 새 그룹 ID.
+ * @param  {Number} cols    부모 그리드 컬럼 수.
+ * @return {Array}          새로운 레이아웃.
+ */
+export function groupItems(
+  layout: Layout,
+  ids: string[],
+  groupId: string,
+  cols: number
+): Layout {
+  const items = sortLayoutItemsByRowCol(
+    layout.filter(item => ids.indexOf(item.i) !== -1)
+  );
+  if (items.length < 2 || layoutHasId(layout, groupId)) return layout;
+
+  const x = Math.min(...items.map(item => item.x));
+  const y = Math.min(...items.map(item => item.y));
+  const members = flattenGroups(items);
+  if (members.length < 2) return layout;
+  // 읽는 순서대로 놓이도록 첫 아이템을 드래그한 아이템 자리에 둠
+  const optimal = createOptimalGroupLayout(
+    members[0],
+    { ...members[1], x, y },
+    cols
+  );
+  let group: LayoutItem = {
+    i: groupId,
+    x,
+    y,
+    w: optimal.groupSize.w,
+    h: optimal.groupSize.h,
+    isGroup: true,
+    children: optimal.children
+  };
+  if (members.length > 2) {
+    const expanded = calculateExpandedGroupLayout(
+      optimal.children.concat(members.slice(2)),
+      group,
+      cols
+    );
+    group = { ...group, ...expanded };
+  }
+
+  return layout.filter(item => ids.indexOf(item.i) === -1).concat(group);
+}
+
+/**
+ * 레이아웃 최상위의 아이템을 그룹에 넣습니다. 드래그로 아이템을 그룹에 드롭했을 때와 같이 배치합니다.
+ * 그룹인 아이템은 드래그로 그룹을 합칠 때처럼 자식들을 그룹에 합칩니다.
+ * 탭 그룹에서는 넣은 아이템(그룹이었다면 그 첫 자식)이 보이는 탭이 됩니다.
+ * 아이템이나 그룹이 없으면 같은 레이아웃을 그대로 반환합니다.
+ *
+ * @param  {Array}  layout  레이아웃.
+ * @param  {String} id      넣을 아이템 ID.
+ * @param  {String} groupId 그룹 ID.
+ * @param  {Number} cols    부모 그리드 컬럼 수.
+ * @return {Array}          새로운 레이아웃.
+ */
+export function moveIntoGroup(
+  layout: Layout,
+  id: string,
+  groupId: string,
+  cols: number
+): Layout {
+  const item = getLayoutItem(layout, id);
+  const group = getLayoutItem(layout, groupId);
+  if (!item || !group || !group.isGroup || id === groupId) return layout;
+
+  const added = flattenGroups([item]);
+  const expanded = calculateExpandedGroupLayout(
+    getGroupChildren(group).concat(added),
+    group,
+    cols
+  );
+  const newGroup: LayoutItem = {
+    ...group,
+    children: expanded.children,
+    w: expanded.w,
+    h: expanded.h
+  };
+  if (group.groupMode === "tabs") newGroup.activeTab = added[0].i;
+
+  return layout
+    .filter(l => l.i !== id)
+    .map(l => (l.i === groupId ? newGroup : l));
+}
+
+/**
+ * 탭 그룹에서 보여줄 자식 ID를 반환합니다.
+ * activeTab이 자식 중에 없으면 첫 번째 자식을 보여줍니다.
+ *
+ * @param  {LayoutItem} group 그룹 레이아웃 아이템.
+ * @return {?String}          보여줄 자식 ID. 자식이 없으면 null.
+ */
+export function getActiveTab(group: LayoutItem): ?string {
+  const children = getGroupChildren(group);
+  if (group.activeTab && getLayoutItem(children, group.activeTab)) {
+    return group.activeTab;
+  }
+  return children.length > 0 ? children[0].i : null;
+}
+
+/**
+ * 그룹의 최소 크기를 자식들의 최소 크기로부터 구합니다. 하위 그룹은 그 자식들까지 따집니다.
+ * 그룹에 minW/minH가 지정되어 있으면 그보다 작아지지 않습니다.
+ *
+ * @param  {LayoutItem} group 그룹 레이아웃 아이템.
+ * @return {Object}           { minW, minH } 그리드 단위 최소 크기.
+ */
+export function getGroupMinSize(group: LayoutItem): {
+  minW: number,
+  minH: number
+} {
+  let minW = group.minW || 1;
+  let minH = group.minH || 1;
+  getGroupChildren(group).forEach(child => {
+    const childMin = getChildMinSize(child);
+    minW = Math.max(minW, childMin.minW);
+    minH = Math.max(minH, childMin.minH);
+  });
+  return { minW, minH };
+}
+
+// 자식이 줄어들 수 있는 최소 크기. 하위 그룹은 getGroupMinSize를 따릅니다.
+function getChildMinSize(child: LayoutItem): { minW: number, minH: number } {
+  if (child.isGroup) return getGroupMinSize(child);
+  return { minW: child.minW || 1, minH: child.minH || 1 };
+}
+
+/**
+ * 그룹 크기를 바꾸고 자식들을 같은 비율로 늘리거나 줄입니다. 하위 그룹은 그 자식들까지 맞춥니다.
+ * 자식의 양 끝 좌표를 각각 반올림하므로 맞닿아 있던 자식들은 계속 맞닿습니다.
+ * 자식의 min/max 크기를 지키고, 그 때문에 겹치는 자식은 그룹 안에서 세로로 압축해 밀어냅니다.
+ * 그래서 그룹 높이가 요청한 높이보다 커질 수 있습니다. 탭 그룹은 탭들을 새 크기로 쌓고, 접힌 하위 그룹은 위치만 옮깁니다.
+ *
+ * @param  {LayoutItem} group 크기를 바꾸기 전의 그룹.
+ * @param  {Number}     w     새 그룹 너비.
+ * @param  {Number}     h     새 그룹 높이.
+ * @return {LayoutItem}       크기가 바뀐 그룹.
+ */
+export function resizeGroupItem(
+  group: LayoutItem,
+  w: number,
+  h: number
+): LayoutItem {
+  const children = getGroupChildren(group);
+  if (group.groupMode === "tabs") {
+    return { ...group, ...stackGroupTabs(children, w, h) };
+  }
+
+  const scaleX = w / Math.max(1, group.w);
+  const scaleY = h / Math.max(1, group.h);
+  const scaled = children.map(child => {
+    const x = Math.round(child.x * scaleX);
+    const y = Math.round(child.y * scaleY);
+    if (child.collapsed) {
+      return { ...child, x: Math.max(0, Math.min(x, w - child.w)), y };
+    }
+
+    const { minW, minH } = getChildMinSize(child);
+    const childW = Math.min(
+      Math.max(Math.round((child.x + child.w) * scaleX) - x, minW),
+      child.maxW || Infinity,
+      w
+    );
+    const childH = Math.min(
+      Math.max(Math.round((child.y + child.h) * scaleY) - y, minH),
+      child.maxH || Infinity
+    );
+    const moved = { ...child, x: Math.max(0, Math.min(x, w - childW)), y };
+    return child.isGroup
+      ? resizeGroupItem(moved, childW, childH)
+      : { ...moved, w: childW, h: childH };
+  });
+
+  const packed = compact(scaled, "vertical", w);
+  return { ...group, w, h: Math.max(h, bottom(packed)), children: packed };
+}
+
+/**
+ * React children에 더 이상 없는 그룹 자식을 그룹에서 제거합니다. 하위 그룹부터 정리합니다.
+ * 자식이 빠진 그룹은 크기를 다시 계산하고, 멤버가 하나만 남으면 그룹 위치의 일반 아이템으로 해체합니다.
+ * 멤버가 모두 사라진 그룹은 제거합니다.
+ *
+ * 레이아웃을 수정하지 않습니다. 새로운 레이아웃을 반환합니다.
+ *
+ * @param  {Array}  layout   부모 레이아웃.
+ * @param  {Array}  children React children.
+ * @return {Object}          { layout, dissolved } 새 레이아웃과 해체되거나 제거된 그룹들.
+ */
+export function pruneGroups(
+  layout: Layout,
+  children: ReactChildren
+): { layout: Layout, dissolved: LayoutItem[] } {
+  const childIds = {};
+  React.Children.forEach(children, child => {
+    if (child?.key != null) childIds[String(child.key)] = true;
+  });
+
+  const dissolved = [];
+  return { layout: pruneLayout(layout, childIds, dissolved), dissolved };
+}
+
+function pruneLayout(
+  layout: Layout,
+  childIds: { [string]: boolean },
+  dissolved: LayoutItem[]
+): Layout {
+  let newLayout = layout;
+  for (let i = 0, len = layout.length; i < len; i++) {
+    const group = layout[i];
+    if (!group.isGroup) continue;
+
+    // 하위 그룹을 먼저 정리해서, 해체된 하위 그룹이 이 그룹의 멤버 수에 반영되도록 함
+    const groupChildren = getGroupChildren(group);
+    const prunedChildren = pruneLayout(groupChildren, childIds, dissolved);
+    if (prunedChildren !== groupChildren) {
+      newLayout = newLayout.map(l =>
+        l.i === group.i ? withGroupChildren(l, prunedChildren) : l
+      );
+    }
+
+    const missing = prunedChildren.filter(
+      child => !child.isGroup && !childIds[child.i]
+    );
+    if (missing.length === 0 && prunedChildren === groupChildren) continue;
+
+    missing.forEach(child => {
+      newLayout = removeChildFromGroup(newLayout, group.i, child.i);
+    });
+
+    const pruned = getLayoutItem(newLayout, group.i);
+    const remaining = pruned ? getGroupChildren(pruned) : [];
+    if (remaining.length === 0) {
+      newLayout = newLayout.filter(l => l.i !== group.i);
+      dissolved.push(group);
+    } else if (remaining.length === 1) {
+      // 남은 멤버를 그룹이 있던 자리에 아이템으로 둠
+      const item = cloneLayoutItem(remaining[0]);
+      item.x = group.x;
+      item.y = group.y;
+      newLayout = newLayout.map(l => (l.i === group.i ? item : l));
+      dissolved.push(group);
+    }
+  }
+
+  return newLayout;
+}
+
+// 주어진 자식들로 그룹을 다시 배치합니다. 그룹은 maxWidth 컬럼을 넘지 않습니다.
+// 탭 그룹은 그룹 크기(너비는 maxWidth 이하)에 탭으로 쌓습니다.
+function packGroup(
+  group: LayoutItem,
+  children: Layout,
+  maxWidth: number
+): LayoutItem {
+  if (group.groupMode === "tabs") {
+    const stacked = stackGroupTabs(
+      children,
+      Math.min(group.w, maxWidth),
+      group.h
+    );
+    return { ...group, ...stacked };
+  }
+  const packed = packGroupChildren(children, maxWidth, group);
+  return withGroupChildren(group, packed.children);
+}
+
+/**
+ * 그룹이 주어진 컬럼 수를 넘지 않도록 그룹 자식을 다시 배치합니다. 하위 그룹부터 맞춥니다.
+ * 반응형 레이아웃에서 더 좁은 breakpoint의 레이아웃을 만들 때 사용합니다.
+ * 바뀐 것이 없으면 같은 레이아웃을 그대로 반환합니다.
+ *
+ * @param  {Array}  layout 레이아웃.
+ * @param  {Number} cols   컬럼 수.
+ * @return {Array}         새로운 레이아웃.
+ */
+export function fitGroupsToCols(layout: Layout, cols: number): Layout {
+  let changed = false;
+  const newLayout = layout.map(item => {
+    if (!item.isGroup) return item;
+    const groupChildren = getGroupChildren(item);
+    const children = fitGroupsToCols(groupChildren, cols);
+    if (
+      children === groupChildren &&
+      item.w <= cols &&
+      getGroupChildrenBounds(groupChildren).w <= cols
+    ) {
+      return item;
+    }
+    changed = true;
+    return packGroup(item, children, cols);
+  });
+  return changed ? newLayout : layout;
+}
+
+/**
+ * target 레이아웃의 그룹 구성을 source 레이아웃과 같게 맞춥니다.
+ * 반응형 레이아웃에서 한 breakpoint의 그룹 구성을 다른 breakpoint에 반영할 때 사용합니다.
+ * 아이템 크기는 target의 것을 유지하고, 그룹은 target의 cols에 맞춰 다시 배치해
+ * 멤버 중 가장 위(같으면 가장 왼쪽)에 있던 멤버의 자리에 둡니다.
+ * 그룹 구성이 이미 같으면 target을 그대로 반환합니다. 겹침 해소는 호출하는 쪽의 compact에 맡깁니다.
+ *
+ * @param  {Array}  source 그룹 구성의 기준이 되는 레이아웃.
+ * @param  {Array}  target 맞출 레이아웃.
+ * @param  {Number} cols   target의 컬럼 수.
+ * @return {Array}         새로운 레이아웃.
+ */
+export function syncGroupMembership(
+  source: Layout,
+  target: Layout,
+  cols: number
+): Layout {
+  if (getGroupSignature(source) === getGroupSignature(target)) return target;
+
+  // target의 그룹을 모두 풀어 일반 아이템만 남긴 뒤 source의 구성대로 다시 묶음
+  let flat = target;
+  let group = flat.find(item => item.isGroup);
+  while (group) {
+    flat = ungroupLayoutItem(flat, group.i, cols);
+    group = flat.find(item => item.isGroup);
+  }
+
+  const grouped = {};
+  const groups = [];
+  source.forEach(sourceGroup => {
+    if (!sourceGroup.isGroup) return;
+    const ids = getDescendantIds(sourceGroup);
+    ids.forEach(id => {
+      grouped[id] = true;
+    });
+
+    const newGroup = buildGroup(sourceGroup, flat, cols);
+    const anchor = sortLayoutItemsByRowCol(
+      flat.filter(item => ids.indexOf(item.i) !== -1)
+    )[0];
+    if (anchor) {
+      newGroup.x = anchor.x;
+      newGroup.y = anchor.y;
+    }
+    groups.push(newGroup);
+  });
+
+  return flat.filter(item => !grouped[item.i]).concat(groups);
+}
+
+// source 그룹의 구조대로 flat 레이아웃의 아이템을 묶어 그룹을 만듭니다.
+// flat에 없는 멤버는 source의 크기를 사용합니다.
+function buildGroup(
+  sourceGroup: LayoutItem,
+  flat: Layout,
+  cols: number
+): LayoutItem {
+  const children = getGroupChildren(sourceGroup).map(child => {
+    if (child.isGroup) return buildGroup(child, flat, cols);
+    return cloneLayoutItem(getLayoutItem(flat, child.i) || child);
+  });
+  return packGroup(cloneLayoutItem(sourceGroup), children, cols);
+}
+
+// 그룹 구성(그룹 ID와 멤버 ID, 하위 그룹 포함)을 비교할 수 있는 문자열로 만듭니다.
+function getGroupSignature(layout: Layout): string {
+  return layout
+    .filter(item => item.isGroup)
+    .map(
+      group =>
+        `${group.i}(${getGroupChildren(group)
+          .map(child => (child.isGroup ? getGroupSignature([child]) : child.i))
+          .join(",")})`
+    )
+    .sort()
+    .join(";");
+}
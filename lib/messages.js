@@ -0,0 +1,47 @@
+// @flow
+
+// Text rendered by the default group chrome and announced for keyboard moves. Pass a subset
+// through the `messages` prop to translate or reword it; missing entries fall back to these defaults.
+export type GridMessages = {|
+  // Label of the drag handle in the group header
+  dragHandle: string,
+  // Label of the header button that expands a collapsed group
+  expandGroup: string,
+  // Label of the header button that collapses a group
+  collapseGroup: string,
+  // Shown over a grouping target once a drop would group into it
+  groupingArmed: string,
+  // Placeholder for a group child without a matching React child
+  missingGroupChild: (id: string) => string,
+  // `aria-roledescription` of items that can be moved or resized from the keyboard
+  itemRoleDescription: string,
+  // Position used in the announcements below; column and row start at 1
+  itemPosition: (column: number, row: number) => string,
+  // Announced when an item is picked up, moved, dropped or put back from the keyboard.
+  // `label` is the item's title or id.
+  keyboardPickUp: (label: string, position: string) => string,
+  keyboardMove: (label: string, position: string) => string,
+  keyboardDrop: (label: string, position: string) => string,
+  keyboardCancel: (label: string, position: string) => string,
+  // Announced when an item is resized from the keyboard, in grid units
+  keyboardResize: (label: string, w: number, h: number) => string
+|};
+
+export const defaultMessages: GridMessages = {
+  dragHandle: "Drag",
+  expandGroup: "Expand",
+  collapseGroup: "Collapse",
+  groupingArmed: "Drop to group",
+  missingGroupChild: id => `Missing: ${id}`,
+  itemRoleDescription: "movable widget",
+  itemPosition: (column, row) => `column ${column}, row ${row}`,
+  keyboardPickUp: (label, position) =>
+    `${label} picked up at ${position}. ` +
+    "Use the arrow keys to move it, Enter or Space to drop it and Escape to cancel.",
+  keyboardMove: (label, position) => `${label} moved to ${position}`,
+  keyboardDrop: (label, position) => `${label} dropped at ${position}`,
+  keyboardCancel: (label, position) =>
+    `${label} move cancelled, back at ${position}`,
+  keyboardResize: (label, w, h) =>
+    `${label} resized to ${w} columns by ${h} rows`
+};
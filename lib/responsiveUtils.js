@@ -1,6 +1,7 @@
 // @flow
 
 import { cloneLayout, compact, correctBounds } from "./utils";
+import { fitGroupsToCols, syncGroupMembership } from "./groupUtils";
 
 import type { CompactType, Layout } from "./utils";
 
@@ -98,9 +99,32 @@ export function findOrGenerateResponsiveLayout(
     }
   }
   layout = cloneLayout(layout || []); // clone layout so we don't modify existing items
+  // Re-pack groups that no longer fit before correcting the top-level items
+  layout = fitGroupsToCols(layout, cols);
   return compact(correctBounds(layout, { cols: cols }), compactType, cols);
 }
 
+/**
+ * Make a breakpoint's layout use the same groups as another breakpoint's layout.
+ * Item sizes are kept; groups are re-packed for the breakpoint's cols.
+ *
+ * @param  {Array}  source      Layout whose groups should be used.
+ * @param  {Array}  layout      Layout to update.
+ * @param  {Number} cols        Column count of `layout`'s breakpoint.
+ * @param  {String} compactType Compaction to apply if anything changed.
+ * @return {Array}              `layout` if its groups already match, otherwise a new layout.
+ */
+export function syncResponsiveGroups(
+  source: Layout,
+  layout: Layout,
+  cols: number,
+  compactType: CompactType
+): Layout {
+  const synced = syncGroupMembership(source, layout, cols);
+  if (synced === layout) return layout;
+  return compact(correctBounds(synced, { cols: cols }), compactType, cols);
+}
+
 /**
  * Given breakpoints, return an array of breakpoints sorted by width. This is usually
  * e.g. ['xxs', 'xs', 'sm', ...]
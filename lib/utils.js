@@ -16,23 +16,8 @@ export type ResizeHandleAxis =
   | "se"
   | "ne";
 
-export interface LayoutChild {
-  w: number,
-  h: number,
-  x: number,
-  y: number,
-  i: string,
-  minW?: number,
-  minH?: number,
-  maxW?: number,
-  maxH?: number,
-  moved?: boolean,
-  static?: boolean,
-  isDraggable?: ?boolean,
-  isResizable?: ?boolean,
-  resizeHandles?: Array<ResizeHandleAxis>,
-  isBounded?: ?boolean;
-}
+// 그룹이 자식을 보여주는 방식: 내부 그리드에 나란히 배치하거나, 탭으로 하나씩 보여줌
+export type GroupMode = "grid" | "tabs";
 
 export type LayoutItem = {
   w: number,
@@ -49,12 +34,25 @@ export type LayoutItem = {
   isDraggable?: ?boolean,
   isResizable?: ?boolean,
   resizeHandles?: Array<ResizeHandleAxis>,
-  isBounded?: ?boolean;
+  isBounded?: ?boolean,
+  isGroupable?: ?boolean,
   isGroup?: boolean,
   groupId?: string,
-  children?: LayoutChild[],
+  children?: $ReadOnlyArray<LayoutItem>,
+  // 접힌 그룹은 헤더 한 줄 높이가 되고, 펼칠 때 돌아갈 높이를 expandedH에 보관
+  collapsed?: boolean,
+  expandedH?: number,
+  // "tabs"이면 자식들을 그룹 영역에 겹쳐 쌓고 activeTab 하나만 보여줌
+  groupMode?: GroupMode,
+  activeTab?: string,
+  // 그룹 헤더에 보여줄 이름과 앱이 자유롭게 쓰는 데이터
+  title?: string,
+  meta?: { [key: string]: mixed }
 };
 
+// 그룹의 children 항목. 하위 그룹도 담을 수 있도록 LayoutItem과 같은 타입을 씀
+export type LayoutChild = LayoutItem;
+
 export type Layout = $ReadOnlyArray<LayoutItem>;
 export type Position = {
   left: number,
@@ -111,6 +109,22 @@ export type EventCallback = (
   Event,
   ?HTMLElement
 ) => void;
+// onDragStop은 함께 이동한 아이템들(선택 영역 전체 또는 드래그한 아이템)을 마지막 인자로 받음
+export type DragStopCallback = (
+  Layout,
+  oldItem: ?LayoutItem,
+  newItem: ?LayoutItem,
+  placeholder: ?LayoutItem,
+  Event,
+  ?HTMLElement,
+  movedItems: Layout
+) => void;
+// 그룹 생성/추가 콜백: false를 반환하면 그룹화를 취소
+export type GroupCallback = (
+  draggedItem: LayoutItem,
+  targetItem: LayoutItem,
+  group: LayoutItem
+) => ?boolean;
 export type CompactType = ?("horizontal" | "vertical");
 
 const isProduction = process.env.NODE_ENV === "production";
@@ -189,9 +203,16 @@ export function cloneLayoutItem(layoutItem: LayoutItem): LayoutItem {
     resizeHandles: layoutItem.resizeHandles,
     isBounded: layoutItem.isBounded,
     // 그룹화 관련 필드
+    isGroupable: layoutItem.isGroupable,
     isGroup: layoutItem.isGroup,
     groupId: layoutItem.groupId,
-    children: layoutItem.children
+    children: layoutItem.children,
+    collapsed: layoutItem.collapsed,
+    expandedH: layoutItem.expandedH,
+    groupMode: layoutItem.groupMode,
+    activeTab: layoutItem.activeTab,
+    title: layoutItem.title,
+    meta: layoutItem.meta
   };
 }
 
@@ -518,7 +539,7 @@ export function moveElement(
   const movingUp =
     compactType === "vertical" && typeof y === "number"
       ? oldY >= y
-: compactType === "horizontal" && typeof x === "number"
+      : compactType === "horizontal" && typeof x === "number"
         ? oldX >= x
         : false;
   // $FlowIgnore 최근에 복제된 읽기 전용 배열의 허용 가능한 수정
@@ -684,6 +705,123 @@ export function moveElementAwayFromCollision(
   );
 }
 
+/**
+ * 드래그한 아이템을 놓은 자리에 겹치는 아이템이 하나뿐이면 두 아이템의 자리를 맞바꿉니다.
+ * 밀어내기 대신 고정된 타일 보드처럼 동작하게 할 때 사용합니다.
+ * 크기가 다르면 기준점(x, y)만 맞바꾸므로, 남은 겹침은 이후 compact에서 정리해야 합니다.
+ *
+ * @param  {Array} layout       드래그를 시작하기 전의 레이아웃.
+ * @param  {LayoutItem} l       드래그한 레이아웃 아이템. 원래 자리에 있어야 합니다.
+ * @param  {Number} x           놓은 X 위치.
+ * @param  {Number} y           놓은 Y 위치.
+ * @param  {Number} cols        열 수. 맞바꾼 아이템이 오른쪽으로 넘치지 않게 합니다.
+ * @return {Array|null}         맞바꾼 새 레이아웃. 겹친 아이템이 없거나 둘 이상이거나
+ *                              static이면 null을 반환하여 기존 이동 처리에 맡깁니다.
+ */
+export function swapElement(
+  layout: Layout,
+  l: LayoutItem,
+  x: number,
+  y: number,
+  cols: number
+): ?Layout {
+  if (l.static) return null;
+  const collisions = getAllCollisions(layout, { ...l, x, y });
+  if (collisions.length !== 1) return null;
+  const target = collisions[0];
+  if (target.static) return null;
+
+  const fitX = (item, newX) => Math.max(0, Math.min(newX, cols - item.w));
+  const swapped = modifyLayout(layout, {
+    ...l,
+    x: fitX(l, target.x),
+    y: target.y
+  });
+  return modifyLayout(swapped, {
+    ...target,
+    x: fitX(target, l.x),
+    y: l.y
+  });
+}
+
+// 여러 아이템을 한 덩어리로 옮길 때 쓰는 임시 아이템 ID
+const SELECTION_BLOCK_ID = "__selection-block__";
+
+/**
+ * 여러 아이템을 상대 위치를 유지한 채 한 덩어리로 이동합니다.
+ * 아이템들을 감싸는 바운딩 박스 하나를 moveElement로 옮기므로,
+ * 충돌 처리도 박스 단위로 이루어집니다.
+ *
+ * @param  {Array} layout       전체 레이아웃.
+ * @param  {Array} items        함께 이동할 레이아웃 아이템들.
+ * @param  {Number} x           바운딩 박스의 새 X 위치.
+ * @param  {Number} y           바운딩 박스의 새 Y 위치.
+ * @return {Array}              새 레이아웃. 아이템 순서는 유지됩니다.
+ */
+export function moveElements(
+  layout: Layout,
+  items: Layout,
+  x: number,
+  y: number,
+  isUserAction: ?boolean,
+  preventCollision: ?boolean,
+  compactType: CompactType,
+  cols: number,
+  allowOverlap: ?boolean
+): Layout {
+  const movable = items.filter(l => !l.static || l.isDraggable === true);
+  if (movable.length === 0) return layout;
+  if (movable.length === 1) {
+    return moveElement(
+      layout,
+      movable[0],
+      x,
+      y,
+      isUserAction,
+      preventCollision,
+      compactType,
+      cols,
+      allowOverlap
+    );
+  }
+
+  const ids = movable.map(l => l.i);
+  const left = Math.min(...movable.map(l => l.x));
+  const top = Math.min(...movable.map(l => l.y));
+  const block: LayoutItem = {
+    i: SELECTION_BLOCK_ID,
+    x: left,
+    y: top,
+    w: Math.max(...movable.map(l => l.x + l.w)) - left,
+    h: bottom(movable) - top,
+    moved: false,
+    static: false
+  };
+
+  const others = layout.filter(l => !ids.includes(l.i));
+  const moved = moveElement(
+    others.concat(block),
+    block,
+    x,
+    y,
+    isUserAction,
+    preventCollision,
+    compactType,
+    cols,
+    allowOverlap
+  );
+  const movedBlock = getLayoutItem(moved, SELECTION_BLOCK_ID) || block;
+  const dx = movedBlock.x - left;
+  const dy = movedBlock.y - top;
+
+  return layout.map(l => {
+    if (ids.includes(l.i)) {
+      return { ...l, x: l.x + dx, y: l.y + dy, moved: dx !== 0 || dy !== 0 };
+    }
+    return getLayoutItem(moved, l.i) || l;
+  });
+}
+
 /**
  * 숫자를 백분율 문자열로 변환하는 헬퍼 함수.
  *
@@ -886,6 +1024,14 @@ export function sortLayoutItemsByColRow(layout: Layout): Layout {
   });
 }
 
+// 하위 그룹까지 내려가며 그룹에 속한 아이템 ID를 모읍니다.
+function collectGroupedIds(group: LayoutItem, ids: { [string]: boolean }) {
+  (group.children || []).forEach(child => {
+    ids[child.i] = true;
+    if (child.isGroup) collectGroupedIds(child, ids);
+  });
+}
+
 /**
  * initialLayout과 children을 템플릿으로 사용하여 레이아웃을 생성합니다.
  * 누락된 항목은 추가되고, 불필요한 항목은 잘립니다.
@@ -906,14 +1052,26 @@ export function synchronizeLayoutWithChildren(
 ): Layout {
   initialLayout = initialLayout || [];
 
-  // 각 child마다 하나의 레이아웃 아이템을 생성합니다.
+  // 그룹 아이템은 React child가 없으므로 그대로 유지합니다.
+  // 그룹에 속한 자식은 그룹이 관리하므로 최상위 아이템으로 만들지 않습니다.
   const layout: LayoutItem[] = [];
+  const groupedIds = {};
+  for (let i = 0, len = initialLayout.length; i < len; i++) {
+    const item = initialLayout[i];
+    if (!item.isGroup) continue;
+    layout.push(cloneLayoutItem(item));
+    collectGroupedIds(item, groupedIds);
+  }
+
+  // 각 child마다 하나의 레이아웃 아이템을 생성합니다.
   React.Children.forEach(children, (child: ReactElement<any>) => {
     // Child가 존재하지 않을 수 있습니다
     if (child?.key == null) return;
 
     const exists = getLayoutItem(initialLayout, String(child.key));
     const g = child.props["data-grid"];
+    // `data-grid`가 있더라도 그룹 자식은 그룹의 위치를 따릅니다.
+    if (groupedIds[String(child.key)]) return;
     // 이미 초기 레이아웃에 있다면 레이아웃 아이템을 덮어쓰지 않습니다.
     // `data-grid` 속성이 있다면 레이아웃에 있는 것보다 그것을 우선합니다.
     if (exists && g == null) {
@@ -951,6 +1109,8 @@ export function synchronizeLayoutWithChildren(
 
 /**
  * 레이아웃을 검증합니다. 에러가 있으면 throw합니다.
+ * 그룹 아이템의 `children`도 같은 방식으로 검증하고,
+ * 레이아웃 전체(그룹 내부 포함)에서 같은 ID가 두 번 나오면 에러를 던집니다.
  *
  * @param  {Array}  layout        레이아웃 아이템 배열.
  * @param  {String} [contextName] 에러 메시지에 사용할 컨텍스트 이름.
@@ -959,6 +1119,14 @@ export function synchronizeLayoutWithChildren(
 export function validateLayout(
   layout: Layout,
   contextName: string = "Layout"
+): void {
+  validateLayoutItems(layout, contextName, {});
+}
+
+function validateLayoutItems(
+  layout: Layout,
+  contextName: string,
+  seenIds: { [string]: string }
 ): void {
   const subProps = ["x", "y", "w", "h"];
   if (!Array.isArray(layout))
@@ -981,6 +1149,22 @@ export function validateLayout(
         } (${typeof item.i})`
       );
     }
+    if (typeof item.i === "string") {
+      if (seenIds[item.i]) {
+        throw new Error(
+          `ReactGridLayout: ${contextName}[${i}].i "${
+            item.i
+          }" is already used by ${
+            seenIds[item.i]
+          }! An item can only appear once, either at the top level or in one group.`
+        );
+      }
+      seenIds[item.i] = `${contextName}[${i}]`;
+    }
+    if (item.isGroup) {
+      const children: Layout = item.children || [];
+      validateLayoutItems(children, `${contextName}[${i}].children`, seenIds);
+    }
   }
 }
 
@@ -1002,7 +1186,7 @@ export function getCombinedSize(dragging: LayoutItem, dropping: LayoutItem) {
   return {
     w: maxX - minX,
     h: maxY - minY
-  }
+  };
 }
 
 function log(...args) {
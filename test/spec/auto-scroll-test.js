@@ -0,0 +1,172 @@
+// @flow
+/* eslint-env jest */
+
+import GridItem from "../../lib/GridItem";
+import {
+  getAutoScrollVelocity,
+  getScrollContainer
+} from "../../lib/autoScrollUtils";
+import mountGrid from "../util/mountGrid";
+
+describe("Auto-scroll while dragging", () => {
+  const layout = [
+    { i: "a", x: 0, y: 0, w: 2, h: 2 },
+    { i: "b", x: 2, y: 0, w: 2, h: 2 }
+  ];
+
+  // jsdom에는 레이아웃이 없으므로 스크롤 컨테이너의 크기와 스크롤 위치를 흉내냄
+  function createScroller(maxScrollTop = 1600) {
+    const scroller: any = document.createElement("div");
+    scroller.style.overflowY = "auto";
+    let scrollTop = 0;
+    Object.defineProperty(scroller, "clientHeight", { value: 400 });
+    Object.defineProperty(scroller, "scrollHeight", {
+      value: 400 + maxScrollTop
+    });
+    Object.defineProperty(scroller, "scrollTop", {
+      get: () => scrollTop,
+      set: value => {
+        scrollTop = Math.max(0, Math.min(maxScrollTop, value));
+      }
+    });
+    scroller.getBoundingClientRect = () => ({
+      top: 0,
+      left: 0,
+      bottom: 400,
+      right: 600
+    });
+    document.body && document.body.appendChild(scroller);
+    return scroller;
+  }
+
+  function mountInScroller(scroller, props: Object = {}) {
+    const wrapper = mountGrid(
+      layout,
+      { autoScroll: true, autoScrollSpeed: () => 10, ...props },
+      { attachTo: scroller }
+    );
+    const item: any = wrapper
+      .find(GridItem)
+      .filterWhere(gridItem => gridItem.prop("i") === "a")
+      .instance();
+    const node: any = item.elementRef.current;
+    Object.defineProperty(node, "offsetParent", { value: node.parentElement });
+    return { wrapper, item, node };
+  }
+
+  const nearBottom: any = { clientX: 100, clientY: 390 };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("scales the scroll speed with how deep the pointer is in the edge area", () => {
+    const container: any = document.createElement("div");
+    container.getBoundingClientRect = () => ({
+      top: 0,
+      left: 0,
+      bottom: 400,
+      right: 300
+    });
+    const speed = proximity => proximity * 10;
+
+    expect(
+      getAutoScrollVelocity(
+        container,
+        { clientX: 150, clientY: 200 },
+        50,
+        speed
+      )
+    ).toEqual({ left: 0, top: 0 });
+    expect(
+      getAutoScrollVelocity(
+        container,
+        { clientX: 150, clientY: 390 },
+        50,
+        speed
+      )
+    ).toEqual({ left: 0, top: 8 });
+    expect(
+      getAutoScrollVelocity(container, { clientX: 10, clientY: 0 }, 50, speed)
+    ).toEqual({ left: -8, top: -10 });
+  });
+
+  it("finds the nearest overflowing ancestor, or the document", () => {
+    const scroller = createScroller();
+    const node = document.createElement("div");
+    scroller.appendChild(node);
+    expect(getScrollContainer(node)).toBe(scroller);
+
+    const loose = document.createElement("div");
+    const child = document.createElement("div");
+    loose.appendChild(child);
+    document.body && document.body.appendChild(loose);
+    expect(getScrollContainer(child)).toBe(
+      document.scrollingElement || document.documentElement
+    );
+    scroller.remove();
+    loose.remove();
+  });
+
+  it("keeps scrolling while the pointer rests near the edge and moves the item with it", () => {
+    const scroller = createScroller();
+    const { wrapper, item, node } = mountInScroller(scroller, {
+      reflowMode: "live"
+    });
+
+    item.onDragStart(nearBottom, { node, deltaX: 0, deltaY: 0 });
+    item.onDrag(nearBottom, { node, deltaX: 0, deltaY: 0 });
+    jest.advanceTimersByTime(16 * 12);
+
+    expect(scroller.scrollTop).toBe(120);
+    expect(item.state.dragging).toEqual({ top: 120, left: 0 });
+    // 스크롤한 만큼 아래 행으로 옮겨짐
+    expect(wrapper.state("layout")[0]).toMatchObject({ i: "a", y: 1 });
+
+    // DraggableCore의 다음 delta에는 스크롤 양이 들어 있으므로 다시 더하지 않음
+    item.onDrag(nearBottom, { node, deltaX: 0, deltaY: 125 });
+    expect(item.state.dragging.top).toBe(125);
+
+    item.onDragStop(nearBottom, { node, deltaX: 0, deltaY: 0 });
+    jest.advanceTimersByTime(16 * 5);
+    expect(scroller.scrollTop).toBe(120);
+    wrapper.unmount();
+    scroller.remove();
+  });
+
+  it("stops once the container can't scroll any further", () => {
+    const scroller = createScroller(30);
+    const { wrapper, item, node } = mountInScroller(scroller);
+
+    item.onDragStart(nearBottom, { node, deltaX: 0, deltaY: 0 });
+    item.onDrag(nearBottom, { node, deltaX: 0, deltaY: 0 });
+    jest.advanceTimersByTime(16 * 10);
+
+    expect(scroller.scrollTop).toBe(30);
+    expect(item.state.dragging.top).toBe(30);
+    expect(jest.getTimerCount()).toBe(0);
+    wrapper.unmount();
+    scroller.remove();
+  });
+
+  it("doesn't scroll unless autoScroll is set", () => {
+    const scroller = createScroller();
+    // undefined를 넘기면 그리드의 기본값(꺼짐)을 씀
+    const { wrapper, item, node } = mountInScroller(scroller, {
+      autoScroll: undefined
+    });
+
+    item.onDragStart(nearBottom, { node, deltaX: 0, deltaY: 0 });
+    item.onDrag(nearBottom, { node, deltaX: 0, deltaY: 0 });
+    jest.advanceTimersByTime(16 * 5);
+
+    expect(scroller.scrollTop).toBe(0);
+    expect(item.state.dragging.top).toBe(0);
+    wrapper.unmount();
+    scroller.remove();
+  });
+});
@@ -0,0 +1,108 @@
+// @flow
+/* eslint-env jest */
+
+import mountGrid from "../util/mountGrid";
+
+describe("Collision mode", () => {
+  const data: any = { e: { clientX: 0, clientY: 0 }, node: {} };
+
+  function positions(layout) {
+    return layout.map(item => [item.i, item.x, item.y]);
+  }
+
+  it("swaps the dragged item with the item it is dropped onto", () => {
+    const onLayoutChange = jest.fn();
+    const wrapper = mountGrid(
+      [
+        { i: "a", x: 0, y: 0, w: 2, h: 1 },
+        { i: "b", x: 3, y: 1, w: 2, h: 1 }
+      ],
+      { collisionMode: "swap", onLayoutChange }
+    );
+    const instance = wrapper.instance();
+
+    instance.onDragStart("a", 0, 0, data);
+    instance.onDrag("a", 2, 1, data);
+    instance.onDragStop("a", 2, 1, data);
+
+    expect(positions(wrapper.state("layout"))).toEqual([
+      ["a", 3, 1],
+      ["b", 0, 0]
+    ]);
+    expect(onLayoutChange).toHaveBeenCalled();
+  });
+
+  it("compacts after swapping items of different sizes", () => {
+    const wrapper = mountGrid(
+      [
+        { i: "a", x: 0, y: 0, w: 1, h: 2 },
+        { i: "b", x: 1, y: 0, w: 1, h: 1 },
+        { i: "c", x: 1, y: 1, w: 1, h: 1 }
+      ],
+      { collisionMode: "swap", compactType: "vertical" }
+    );
+    const instance = wrapper.instance();
+
+    instance.onDragStart("b", 1, 0, data);
+    instance.onDragStop("b", 0, 0, data);
+
+    expect(positions(wrapper.state("layout"))).toEqual([
+      ["a", 1, 0],
+      ["b", 0, 0],
+      ["c", 1, 2]
+    ]);
+  });
+
+  it("pushes as usual when the drop doesn't cover exactly one item", () => {
+    const wrapper = mountGrid(
+      [
+        { i: "a", x: 0, y: 0, w: 2, h: 1 },
+        { i: "b", x: 2, y: 0, w: 1, h: 1 },
+        { i: "c", x: 3, y: 0, w: 1, h: 1 }
+      ],
+      { collisionMode: "swap" }
+    );
+    const instance = wrapper.instance();
+
+    instance.onDragStart("a", 0, 0, data);
+    instance.onDragStop("a", 2, 0, data);
+
+    const layout = wrapper.state("layout");
+    const a: any = layout.find(l => l.i === "a");
+    expect([a.x, a.y]).toEqual([2, 0]);
+    // 두 아이템에 걸쳤으므로 맞바꾸지 않고 밀어냄
+    expect(layout.find(l => l.i === "b")).not.toMatchObject({ x: 0, y: 0 });
+    expect(layout.find(l => l.i === "c")).not.toMatchObject({ x: 0, y: 0 });
+  });
+
+  it("previews the swap while dragging in live reflow mode", () => {
+    const wrapper = mountGrid(
+      [
+        { i: "a", x: 0, y: 0, w: 1, h: 1 },
+        { i: "b", x: 2, y: 0, w: 1, h: 1 }
+      ],
+      { collisionMode: "swap", reflowMode: "live" }
+    );
+    const instance = wrapper.instance();
+
+    instance.onDragStart("a", 0, 0, data);
+    instance.onDrag("a", 2, 0, data);
+    expect(positions(wrapper.state("layout"))).toEqual([
+      ["a", 2, 0],
+      ["b", 0, 0]
+    ]);
+
+    // 빈 자리로 옮기면 맞바꾼 아이템이 제자리로 돌아감
+    instance.onDrag("a", 4, 1, data);
+    expect(positions(wrapper.state("layout"))).toEqual([
+      ["a", 4, 1],
+      ["b", 2, 0]
+    ]);
+
+    instance.onDragStop("a", 4, 1, data);
+    expect(positions(wrapper.state("layout"))).toEqual([
+      ["a", 4, 1],
+      ["b", 2, 0]
+    ]);
+  });
+});
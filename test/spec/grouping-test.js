@@ -3,8 +3,63 @@
 
 import React from "react";
 import { mount } from "enzyme";
+import { unstable_batchedUpdates } from "react-dom";
 import ReactGridLayout from "../../lib/ReactGridLayout";
-import { moveElement, compact, compactType, getAllCollisions } from "../../lib/utils";
+import GridItem from "../../lib/GridItem";
+import ResponsiveReactGridLayout from "../../lib/ResponsiveReactGridLayout";
+import { calcGridColWidth } from "../../lib/calculateUtils";
+import {
+  findOrGenerateResponsiveLayout,
+  syncResponsiveGroups
+} from "../../lib/responsiveUtils";
+import {
+  generateGroupId,
+  getGroupMinSize,
+  groupItems,
+  moveIntoGroup,
+  packGroupChildren,
+  resizeGroupItem,
+  skylinePack,
+  updateGroupChildren
+} from "../../lib/groupUtils";
+import { moveElement, compact, compactType, getAllCollisions, cloneLayoutItem } from "../../lib/utils";
+import { itemIds } from "../util/mountGrid";
+
+// 그룹화 테스트가 함께 쓰는 그리드를 마운트함. 600px 너비에 6열, 행 높이 150px이며 props로 덮어씀
+// keys를 넘기지 않으면 그룹 안의 아이템까지 모든 아이템의 자식을 렌더링함
+function mountGrid(
+  gridLayout: $ReadOnlyArray<Object>,
+  props: Object = {},
+  keys: Array<string> = itemIds(gridLayout)
+): any {
+  return mount(
+    <ReactGridLayout
+      className="layout"
+      layout={gridLayout}
+      cols={6}
+      rowHeight={150}
+      width={600}
+      {...props}
+    >
+      {keys.map(key => (
+        <div key={key}>{key.toUpperCase()}</div>
+      ))}
+    </ReactGridLayout>
+  );
+}
+
+// 레이아웃을 props로 넘기지 않고 상태에 바로 넣음
+// 그리드가 레이아웃을 복제하지 않으므로 같은 객체가 유지되는지 확인할 수 있음
+function mountWithLayoutState(
+  gridLayout: $ReadOnlyArray<Object>,
+  props: Object = {},
+  keys: Array<string> = itemIds(gridLayout)
+): any {
+  const wrapper = mountGrid([], props, keys);
+  wrapper.instance().setState({ layout: gridLayout });
+  wrapper.update();
+  return wrapper;
+}
 
 describe("Grouping functionality", () => {
   let mockLayout, mockChildren, defaultProps;
@@ -293,9 +348,6 @@ describe("Grouping functionality", () => {
 
       const instance = wrapper.instance();
 
-      console.log("=== 1단계: 5번과 1번 그룹화 ===");
-      console.log("Before 5-1 grouping:", instance.state.layout);
-
       // 1단계: 5번과 1번 그룹화
       instance.setState({
         groupingTarget: "5",
@@ -307,13 +359,11 @@ describe("Grouping functionality", () => {
       instance.onDragStop("1", 6, 0, { e: {}, node: {} });
 
       const afterFirstGrouping = instance.state.layout;
-      console.log("After 5-1 grouping:", afterFirstGrouping);
 
       const firstGroup = afterFirstGrouping.find(item => item.isGroup);
       expect(firstGroup).toBeTruthy();
       
       if (firstGroup) {
-        console.log("First group:", firstGroup);
         // 첫 번째 그룹화 후 그룹은 [6, 0, 4, 4]여야 함
         expect(firstGroup.x).toBe(6);
         expect(firstGroup.y).toBe(0);
@@ -323,11 +373,8 @@ describe("Grouping functionality", () => {
 
       // 0번 위젯 위치 확인 (충돌로 인해 아래로 이동해야 함)
       const widget0AfterFirst = afterFirstGrouping.find(item => item.i === "0");
-      console.log("Widget 0 after first grouping:", widget0AfterFirst);
       expect(widget0AfterFirst.y).toBe(4); // 그룹 아래로 이동
 
-      console.log("=== 2단계: 그룹에 0번 추가 ===");
-
       // 2단계: 기존 그룹에 0번 추가
       instance.setState({
         groupingTarget: firstGroup.i,  // 기존 그룹을 타겟으로
@@ -339,25 +386,18 @@ describe("Grouping functionality", () => {
       instance.onDragStop("0", 6, 0, { e: {}, node: {} });
 
       const finalLayout = instance.state.layout;
-      console.log("After adding 0 to group:", finalLayout);
 
       const finalGroup = finalLayout.find(item => item.isGroup);
-      console.log("Final group:", finalGroup);
-
       expect(finalGroup).toBeTruthy();
       
       if (finalGroup) {
         // 3개 위젯이 가로로 배치되려면 그룹 너비가 6이 되어야 함
-        console.log(`Expected group width: 6, actual: ${finalGroup.w}`);
-        console.log(`Expected group position: [6, 0, 6, 4], actual: [${finalGroup.x}, ${finalGroup.y}, ${finalGroup.w}, ${finalGroup.h}]`);
-        
         expect(finalGroup.x).toBe(6);
         expect(finalGroup.y).toBe(0);
         expect(finalGroup.w).toBe(6); // 3개 위젯이 가로로 배치되므로 너비 6
         expect(finalGroup.h).toBe(4);
 
         // 그룹 내부 위젯들도 확인
-        console.log("Group children:", finalGroup.children);
         expect(finalGroup.children.length).toBe(3);
       }
     });
@@ -619,4 +659,2423 @@ describe("Grouping functionality", () => {
       expect(widget8.y).toBe(0);
     });
   });
-});
\ No newline at end of file
+});
+
+describe("Ungrouping", () => {
+  const groupedLayout = [
+    {
+      i: "group-1",
+      x: 0,
+      y: 0,
+      w: 4,
+      h: 2,
+      isGroup: true,
+      children: [
+        { i: "a", x: 0, y: 0, w: 2, h: 2 },
+        { i: "b", x: 2, y: 0, w: 2, h: 2 }
+      ]
+    },
+    { i: "c", x: 4, y: 0, w: 2, h: 2 },
+    { i: "d", x: 0, y: 2, w: 2, h: 2 }
+  ];
+
+  // 그룹 컨테이너는 (10, 10)부터 390x310 영역을 차지하고, 부모 그리드는 (0, 0)에서 시작
+  function mockDraggedNode(): any {
+    const groupContainer = {
+      getBoundingClientRect: () => ({
+        left: 10,
+        right: 400,
+        top: 10,
+        bottom: 320
+      }),
+      parentElement: {
+        getBoundingClientRect: () => ({
+          left: 0,
+          right: 600,
+          top: 0,
+          bottom: 800
+        })
+      }
+    };
+    return { closest: () => groupContainer };
+  }
+
+  function mockPointer(clientX: number, clientY: number): any {
+    return { clientX, clientY };
+  }
+
+  it("spreads all children back onto the parent grid with ungroup()", () => {
+    const wrapper = mountWithLayoutState(groupedLayout);
+    const onLayoutChange = jest.fn();
+    wrapper.setProps({ onLayoutChange });
+
+    wrapper.instance().ungroup("group-1");
+
+    const layout = wrapper.instance().state.layout;
+    expect(layout.find(item => item.isGroup)).toBeUndefined();
+    expect(layout.find(item => item.i === "a")).toMatchObject({ x: 0, y: 0 });
+    expect(layout.find(item => item.i === "b")).toMatchObject({ x: 2, y: 0 });
+    expect(layout.find(item => item.i === "d")).toMatchObject({ x: 0, y: 2 });
+    expect(onLayoutChange).toHaveBeenCalledTimes(1);
+  });
+
+  it("places a child dragged out of the group at the pointer's cell", () => {
+    const wrapper = mountWithLayoutState(groupedLayout);
+    const onGroupDissolve = jest.fn();
+    wrapper.setProps({ onGroupDissolve });
+    const instance = wrapper.instance();
+
+    // (206, 490)은 부모 그리드의 x=2, y=3 셀
+    const handled = instance.onGroupItemDragOut(
+      "group-1",
+      { i: "b", x: 2, y: 0, w: 2, h: 2 },
+      mockPointer(206, 490),
+      mockDraggedNode()
+    );
+
+    expect(handled).toBe(true);
+    const layout = instance.state.layout;
+    // 멤버가 하나만 남은 그룹은 풀리고 남은 멤버가 그룹 자리에 놓임
+    expect(layout.find(item => item.i === "group-1")).toBeUndefined();
+    expect(onGroupDissolve).toHaveBeenCalledWith(groupedLayout[0]);
+    expect(layout.find(item => item.i === "a")).toMatchObject({
+      x: 0,
+      y: 0,
+      w: 2,
+      h: 2
+    });
+    // 세로 압축으로 그룹이 비운 자리까지 올라감
+    expect(layout.find(item => item.i === "b")).toMatchObject({ x: 2, y: 0 });
+  });
+
+  it("keeps a group that still has two members after a child is dragged out", () => {
+    const wrapper = mountWithLayoutState(groupedLayout);
+    const instance = wrapper.instance();
+    const threeMembers = [
+      {
+        ...groupedLayout[0],
+        h: 4,
+        children: [
+          { i: "a", x: 0, y: 0, w: 2, h: 2 },
+          { i: "b", x: 2, y: 0, w: 2, h: 2 },
+          { i: "c", x: 0, y: 2, w: 2, h: 2 }
+        ]
+      },
+      groupedLayout[2]
+    ];
+    instance.setState({ layout: threeMembers });
+
+    instance.onGroupItemDragOut(
+      "group-1",
+      { i: "b", x: 2, y: 0, w: 2, h: 2 },
+      mockPointer(506, 10),
+      mockDraggedNode()
+    );
+
+    const group: any = instance.state.layout.find(item => item.i === "group-1");
+    expect(group.children.map(child => child.i)).toEqual(["a", "c"]);
+    expect(group.w).toBe(2);
+  });
+
+  it("keeps the child in the group while the pointer is inside the group", () => {
+    const wrapper = mountWithLayoutState(groupedLayout);
+    const instance = wrapper.instance();
+
+    const handled = instance.onGroupItemDragOut(
+      "group-1",
+      { i: "b", x: 2, y: 0, w: 2, h: 2 },
+      mockPointer(300, 100),
+      mockDraggedNode()
+    );
+
+    expect(handled).toBe(false);
+    expect(instance.state.layout).toBe(groupedLayout);
+  });
+
+  it("hands drags that end outside the group from the inner grid to the parent", () => {
+    const wrapper = mountWithLayoutState(groupedLayout);
+    const inner = wrapper.find(ReactGridLayout).at(1).instance();
+    expect(inner.props.isGroup).toBe(true);
+
+    inner.setState({
+      activeDrag: { i: "b", x: 2, y: 0, w: 2, h: 2 },
+      oldDragItem: { i: "b", x: 2, y: 0, w: 2, h: 2 }
+    });
+    // 실제 드래그 이벤트처럼 한 번에 반영해야, 그룹이 풀리며 사라지는 내부 그리드를 건드리지 않음
+    unstable_batchedUpdates(() => {
+      inner.onDragStop("b", 2, 0, {
+        e: mockPointer(206, 490),
+        node: mockDraggedNode(),
+        newPosition: { left: 0, top: 0 }
+      });
+    });
+
+    const layout = wrapper.instance().state.layout;
+    expect(layout.find(item => item.i === "b")).toBeTruthy();
+    // 남은 멤버 하나는 그룹이 풀리면서 최상위 아이템이 됨
+    expect(layout.find(item => item.i === "group-1")).toBeUndefined();
+    expect(layout.find(item => item.i === "a")).toBeTruthy();
+  });
+});
+
+describe("Merging groups", () => {
+  function dropOnto(instance, dragged, targetId) {
+    instance.setState({
+      groupingTarget: targetId,
+      isGroupDroppable: true,
+      activeDrag: dragged,
+      oldDragItem: dragged
+    });
+    const event: any = { e: {}, node: {} };
+    instance.onDragStop(dragged.i, dragged.x, dragged.y, event);
+  }
+
+  it("absorbs a plain item into a group dropped on it", () => {
+    const group = {
+      i: "group-1",
+      x: 0,
+      y: 0,
+      w: 4,
+      h: 2,
+      isGroup: true,
+      children: [
+        { i: "a", x: 0, y: 0, w: 2, h: 2 },
+        { i: "b", x: 2, y: 0, w: 2, h: 2 }
+      ]
+    };
+    const wrapper = mountWithLayoutState([
+      group,
+      { i: "c", x: 4, y: 0, w: 2, h: 2 },
+      { i: "d", x: 0, y: 2, w: 2, h: 2 }
+    ]);
+    const instance = wrapper.instance();
+
+    dropOnto(instance, group, "d");
+
+    const { layout } = instance.state;
+    expect(layout.map(item => item.i).sort()).toEqual(["c", "group-1"]);
+    const merged: any = layout.find(item => item.i === "group-1");
+    // 타겟 위치(0, 2)로 이동한 뒤 세 위젯이 가로로 배치됨
+    expect(merged).toMatchObject({ x: 0, y: 2, w: 6, h: 2 });
+    expect(merged.children.map(({ i, x, y }) => ({ i, x, y }))).toEqual([
+      { i: "a", x: 0, y: 0 },
+      { i: "b", x: 2, y: 0 },
+      { i: "d", x: 4, y: 0 }
+    ]);
+  });
+
+  it("merges the children of a group dropped on another group", () => {
+    const dragged = {
+      i: "group-2",
+      x: 0,
+      y: 2,
+      w: 4,
+      h: 2,
+      isGroup: true,
+      children: [
+        { i: "c", x: 0, y: 0, w: 2, h: 2 },
+        { i: "d", x: 2, y: 0, w: 2, h: 2 }
+      ]
+    };
+    const wrapper = mountWithLayoutState([
+      {
+        i: "group-1",
+        x: 0,
+        y: 0,
+        w: 4,
+        h: 2,
+        isGroup: true,
+        children: [
+          { i: "a", x: 0, y: 0, w: 2, h: 2 },
+          { i: "b", x: 2, y: 0, w: 2, h: 2 }
+        ]
+      },
+      dragged
+    ]);
+    const instance = wrapper.instance();
+
+    dropOnto(instance, dragged, "group-1");
+
+    const { layout } = instance.state;
+    expect(layout.length).toBe(1);
+    const merged: any = layout[0];
+    // 타겟 그룹의 ID와 위치를 유지하고, 기존 너비를 유지하도록 아래 줄에 배치됨
+    expect(merged).toMatchObject({ i: "group-1", x: 0, y: 0, w: 4, h: 4 });
+    expect(merged.children.map(({ i, x, y }) => ({ i, x, y }))).toEqual([
+      { i: "a", x: 0, y: 0 },
+      { i: "b", x: 2, y: 0 },
+      { i: "c", x: 0, y: 2 },
+      { i: "d", x: 2, y: 2 }
+    ]);
+  });
+});
+
+describe("Layout changes inside a group", () => {
+  const groupedLayout = [
+    {
+      i: "group-1",
+      x: 0,
+      y: 0,
+      w: 4,
+      h: 2,
+      isGroup: true,
+      children: [
+        { i: "a", x: 0, y: 0, w: 2, h: 2 },
+        { i: "b", x: 2, y: 0, w: 2, h: 2 }
+      ]
+    },
+    { i: "c", x: 4, y: 0, w: 2, h: 2 },
+    { i: "d", x: 0, y: 2, w: 2, h: 2 }
+  ];
+
+  it("writes children rearranged in the inner grid back into the group", () => {
+    const onLayoutChange = jest.fn();
+    const wrapper = mountWithLayoutState(groupedLayout, { onLayoutChange });
+    onLayoutChange.mockClear();
+    const inner = wrapper.find(ReactGridLayout).at(1).instance();
+
+    inner.setState({
+      layout: [
+        { i: "a", x: 2, y: 0, w: 2, h: 2 },
+        { i: "b", x: 0, y: 0, w: 2, h: 2 }
+      ]
+    });
+
+    expect(onLayoutChange).toHaveBeenCalledTimes(1);
+    const [reported] = onLayoutChange.mock.calls[0];
+    const group: any = reported.find(item => item.i === "group-1");
+    expect(group.children).toEqual([
+      { i: "a", x: 2, y: 0, w: 2, h: 2 },
+      { i: "b", x: 0, y: 0, w: 2, h: 2 }
+    ]);
+    expect(wrapper.instance().state.layout).toBe(reported);
+  });
+
+  it("grows the group and pushes siblings when a child is resized", () => {
+    const onLayoutChange = jest.fn();
+    const wrapper = mountWithLayoutState(groupedLayout, { onLayoutChange });
+    onLayoutChange.mockClear();
+    const inner = wrapper.find(ReactGridLayout).at(1).instance();
+
+    inner.setState({
+      layout: [
+        { i: "a", x: 0, y: 0, w: 2, h: 3 },
+        { i: "b", x: 2, y: 0, w: 2, h: 2 }
+      ]
+    });
+
+    const layout = wrapper.instance().state.layout;
+    expect(layout.find(item => item.i === "group-1")).toMatchObject({
+      w: 4,
+      h: 3
+    });
+    expect(layout.find(item => item.i === "d")).toMatchObject({ x: 0, y: 3 });
+  });
+
+  it("does not report anything when the inner layout is unchanged", () => {
+    const onLayoutChange = jest.fn();
+    const wrapper = mountWithLayoutState(groupedLayout, { onLayoutChange });
+    onLayoutChange.mockClear();
+
+    wrapper.instance().onGroupLayoutChange("group-1", [
+      { i: "a", x: 0, y: 0, w: 2, h: 2 },
+      { i: "b", x: 2, y: 0, w: 2, h: 2 }
+    ]);
+
+    expect(wrapper.instance().state.layout).toBe(groupedLayout);
+    expect(onLayoutChange).not.toHaveBeenCalled();
+  });
+});
+
+describe("Grouping activation", () => {
+  const layout = [
+    { i: "a", x: 0, y: 0, w: 2, h: 2 },
+    { i: "b", x: 2, y: 0, w: 2, h: 2 }
+  ];
+
+  // jsdom에서 그리드 컨테이너는 (0, 0)에 있음
+  // 아이템 b는 (207, 10)부터 187x310 영역을 차지하고, 중심은 약 (300, 165)
+  function dragOver(instance, clientX, clientY, modifiers = {}) {
+    const e: any = { clientX, clientY, ...modifiers };
+    instance.handleGroupingTarget("a", e);
+  }
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("arms grouping after the pointer rests for groupingDelay", () => {
+    jest.useFakeTimers();
+    const instance = mountGrid(layout, { groupingDelay: 300 }).instance();
+
+    dragOver(instance, 300, 165);
+    expect(instance.state.groupingTarget).toBe("b");
+    expect(instance.state.isGroupDroppable).toBe(false);
+
+    jest.advanceTimersByTime(299);
+    expect(instance.state.isGroupDroppable).toBe(false);
+    jest.advanceTimersByTime(1);
+    expect(instance.state.isGroupDroppable).toBe(true);
+  });
+
+  it("arms grouping instantly when groupingDelay is 0", () => {
+    const instance = mountGrid(layout, { groupingDelay: 0 }).instance();
+
+    dragOver(instance, 300, 165);
+
+    expect(instance.state.groupingTarget).toBe("b");
+    expect(instance.state.isGroupDroppable).toBe(true);
+    expect(instance.state.groupingTimer).toBeNull();
+  });
+
+  it("ignores pointers near the target's edge with groupingThreshold", () => {
+    const instance = mountGrid(layout, {
+      groupingDelay: 0,
+      groupingThreshold: 0.5
+    }).instance();
+
+    dragOver(instance, 215, 20);
+    expect(instance.state.groupingTarget).toBeNull();
+
+    dragOver(instance, 300, 165);
+    expect(instance.state.groupingTarget).toBe("b");
+  });
+
+  it("only groups while groupingModifierKey is held", () => {
+    const instance = mountGrid(layout, {
+      groupingDelay: 0,
+      groupingModifierKey: "shift"
+    }).instance();
+
+    dragOver(instance, 300, 165);
+    expect(instance.state.groupingTarget).toBeNull();
+
+    dragOver(instance, 300, 165, { shiftKey: true });
+    expect(instance.state.groupingTarget).toBe("b");
+
+    // 키를 떼면 다시 해제됨
+    dragOver(instance, 300, 165);
+    expect(instance.state.groupingTarget).toBeNull();
+    expect(instance.state.isGroupDroppable).toBe(false);
+  });
+
+  it("never groups when isGroupable is false on the grid", () => {
+    const instance = mountGrid(layout, {
+      groupingDelay: 0,
+      isGroupable: false
+    }).instance();
+
+    dragOver(instance, 300, 165);
+
+    expect(instance.state.groupingTarget).toBeNull();
+  });
+
+  it("lets layout items opt out of or into grouping", () => {
+    const notGroupable = mountGrid(
+      [layout[0], { ...layout[1], isGroupable: false }],
+      { groupingDelay: 0 }
+    ).instance();
+    dragOver(notGroupable, 300, 165);
+    expect(notGroupable.state.groupingTarget).toBeNull();
+
+    const groupable = mountGrid(
+      [
+        { ...layout[0], isGroupable: true },
+        { ...layout[1], isGroupable: true }
+      ],
+      { groupingDelay: 0, isGroupable: false }
+    ).instance();
+    dragOver(groupable, 300, 165);
+    expect(groupable.state.groupingTarget).toBe("b");
+  });
+});
+
+describe("Group render props", () => {
+  const groupedLayout = [
+    {
+      i: "group-1",
+      x: 0,
+      y: 0,
+      w: 4,
+      h: 2,
+      isGroup: true,
+      children: [
+        { i: "a", x: 0, y: 0, w: 2, h: 2 },
+        { i: "z", x: 2, y: 0, w: 2, h: 2 }
+      ]
+    },
+    { i: "c", x: 4, y: 0, w: 2, h: 2 }
+  ];
+
+  it("renders the default chrome, indicator and missing-child fallback", () => {
+    const wrapper = mountWithLayoutState(groupedLayout, {}, ["a", "c"]);
+    expect(wrapper.find(".react-grid-group-container").length).toBe(1);
+    expect(wrapper.find("button.drag-handle").length).toBe(1);
+    expect(wrapper.text()).toContain("Missing: z");
+
+    wrapper
+      .instance()
+      .setState({ groupingTarget: "c", isGroupDroppable: true });
+    wrapper.update();
+    expect(wrapper.text()).toContain("Drop to group");
+  });
+
+  it("renders the default chrome with the text given in messages", () => {
+    const wrapper = mountWithLayoutState(
+      groupedLayout,
+      {
+        messages: {
+          dragHandle: "핸들",
+          groupingArmed: "그룹화 가능",
+          missingGroupChild: id => `없음: ${id}`
+        }
+      },
+      ["a", "c"]
+    );
+    expect(wrapper.find("button.drag-handle").text()).toBe("핸들");
+    // 주지 않은 문구는 기본값을 씀
+    expect(wrapper.find("button.react-grid-group-toggle").text()).toBe(
+      "Collapse"
+    );
+    expect(wrapper.text()).toContain("없음: z");
+
+    wrapper
+      .instance()
+      .setState({ groupingTarget: "c", isGroupDroppable: true });
+    wrapper.update();
+    expect(wrapper.text()).toContain("그룹화 가능");
+  });
+
+  it("renders the group chrome with renderGroupContainer", () => {
+    const renderGroupContainer = jest.fn(({ layoutItem, children }) => (
+      <section className="react-grid-group-container my-group">
+        <h3>{layoutItem.i}</h3>
+        {children}
+      </section>
+    ));
+    const wrapper = mountWithLayoutState(
+      groupedLayout,
+      { renderGroupContainer },
+      ["a", "c"]
+    );
+
+    expect(wrapper.find("section.my-group h3").text()).toBe("group-1");
+    expect(wrapper.find("section.my-group").find(ReactGridLayout).length).toBe(
+      1
+    );
+    expect(wrapper.find("button.drag-handle").length).toBe(0);
+    expect(renderGroupContainer).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        layoutItem: expect.objectContaining({ i: "group-1" }),
+        isArmed: false
+      })
+    );
+
+    wrapper
+      .instance()
+      .setState({ groupingTarget: "group-1", isGroupDroppable: true });
+    expect(renderGroupContainer).toHaveBeenLastCalledWith(
+      expect.objectContaining({ isArmed: true })
+    );
+  });
+
+  it("renders the hovered target's indicator with renderGroupingIndicator", () => {
+    const renderGroupingIndicator = ({ layoutItem, isArmed }) => (
+      <div className="indicator">
+        {layoutItem.i}: {isArmed ? "armed" : "waiting"}
+      </div>
+    );
+    const wrapper = mountWithLayoutState(
+      groupedLayout,
+      { renderGroupingIndicator },
+      ["a", "c"]
+    );
+    expect(wrapper.find(".indicator").length).toBe(0);
+
+    wrapper
+      .instance()
+      .setState({ groupingTarget: "c", isGroupDroppable: false });
+    wrapper.update();
+    expect(wrapper.find(".indicator").text()).toBe("c: waiting");
+
+    wrapper.instance().setState({ isGroupDroppable: true });
+    wrapper.update();
+    expect(wrapper.find(".indicator").text()).toBe("c: armed");
+    expect(wrapper.text()).not.toContain("Drop to group");
+  });
+
+  it("renders children missing from the grid with renderMissingGroupChild", () => {
+    const renderMissingGroupChild = ({ layoutItem, childItem }) => (
+      <em className="missing">
+        {childItem.i} in {layoutItem.i}
+      </em>
+    );
+    const wrapper = mountWithLayoutState(
+      groupedLayout,
+      { renderMissingGroupChild },
+      ["a", "c"]
+    );
+
+    expect(wrapper.find("em.missing").text()).toBe("z in group-1");
+    expect(wrapper.text()).not.toContain("Missing: z");
+  });
+});
+
+describe("Group lifecycle callbacks", () => {
+  const layout = [
+    { i: "a", x: 0, y: 0, w: 2, h: 2 },
+    { i: "b", x: 2, y: 0, w: 2, h: 2 },
+    { i: "c", x: 4, y: 0, w: 2, h: 2 }
+  ];
+  const group = {
+    i: "group-1",
+    x: 0,
+    y: 0,
+    w: 4,
+    h: 2,
+    isGroup: true,
+    children: [
+      { i: "a", x: 0, y: 0, w: 2, h: 2 },
+      { i: "b", x: 2, y: 0, w: 2, h: 2 }
+    ]
+  };
+
+  function dropOnto(instance, dragged, targetId, x, y) {
+    instance.setState({
+      groupingTarget: targetId,
+      isGroupDroppable: true,
+      activeDrag: dragged,
+      oldDragItem: dragged
+    });
+    const event: any = { e: {}, node: {} };
+    instance.onDragStop(dragged.i, x, y, event);
+  }
+
+  it("calls onGroupCreate with the dragged item, target and proposed group", () => {
+    const onGroupCreate = jest.fn();
+    const instance = mountGrid(layout, { onGroupCreate }).instance();
+
+    dropOnto(instance, layout[0], "c", 4, 0);
+
+    expect(onGroupCreate).toHaveBeenCalledTimes(1);
+    const [dragged, target, proposed] = onGroupCreate.mock.calls[0];
+    expect(dragged.i).toBe("a");
+    expect(target.i).toBe("c");
+    expect(proposed.isGroup).toBe(true);
+    expect(proposed.children.map(child => child.i)).toEqual(["a", "c"]);
+    expect(
+      instance.state.layout.find(item => item.i === proposed.i)
+    ).toMatchObject({
+      w: proposed.w,
+      h: proposed.h,
+      children: proposed.children
+    });
+  });
+
+  it("moves the item normally when onGroupCreate returns false", () => {
+    const instance = mountGrid(layout, {
+      onGroupCreate: () => false
+    }).instance();
+
+    dropOnto(instance, layout[0], "c", 4, 0);
+
+    const newLayout = instance.state.layout;
+    expect(newLayout.find(item => item.isGroup)).toBeUndefined();
+    expect(newLayout.find(item => item.i === "a")).toMatchObject({
+      x: 4,
+      y: 0
+    });
+  });
+
+  it("calls onGroupAdd for drops onto groups and honours its veto", () => {
+    const onGroupAdd = jest.fn(() => false);
+    const instance = mountGrid(layout, { onGroupAdd }).instance();
+    instance.setState({ layout: [group, layout[2]] });
+
+    dropOnto(instance, layout[2], "group-1", 0, 0);
+
+    expect(onGroupAdd).toHaveBeenCalledTimes(1);
+    const [dragged, target, proposed] = onGroupAdd.mock.calls[0];
+    expect(dragged.i).toBe("c");
+    expect(target.i).toBe("group-1");
+    expect(proposed.children.map(child => child.i)).toEqual(["a", "b", "c"]);
+    const kept: any = instance.state.layout.find(item => item.i === "group-1");
+    expect(kept.children.map(child => child.i)).toEqual(["a", "b"]);
+  });
+
+  it("calls onGroupDissolve before ungrouping and keeps the group on false", () => {
+    const onGroupDissolve = jest.fn(() => false);
+    const instance = mountGrid(layout, { onGroupDissolve }).instance();
+    instance.setState({ layout: [group, layout[2]] });
+
+    instance.ungroup("group-1");
+
+    expect(onGroupDissolve).toHaveBeenCalledWith(group);
+    expect(instance.state.layout[0]).toBe(group);
+  });
+
+  it("keeps the last child in its group when onGroupDissolve returns false", () => {
+    const onGroupDissolve = jest.fn(() => false);
+    const instance = mountGrid(layout, { onGroupDissolve }).instance();
+    const child = { i: "a", x: 0, y: 0, w: 2, h: 2 };
+    const single = { ...group, w: 2, children: [child] };
+    instance.setState({ layout: [single, layout[2]] });
+    const groupContainer = {
+      getBoundingClientRect: () => ({
+        left: 0,
+        right: 200,
+        top: 0,
+        bottom: 320
+      }),
+      parentElement: {
+        getBoundingClientRect: () => ({ left: 0, top: 0 })
+      }
+    };
+    const node: any = { closest: () => groupContainer };
+    const e: any = { clientX: 300, clientY: 500 };
+
+    const handled = instance.onGroupItemDragOut("group-1", child, e, node);
+
+    expect(handled).toBe(false);
+    expect(onGroupDissolve).toHaveBeenCalledWith(single);
+    expect(instance.state.layout[0]).toBe(single);
+  });
+});
+
+describe("Group ids", () => {
+  const layout = [
+    { i: "a", x: 0, y: 0, w: 2, h: 2 },
+    { i: "b", x: 2, y: 0, w: 2, h: 2 }
+  ];
+
+  function dropAOntoB(props: Object) {
+    const instance = mountGrid(layout, props).instance();
+    instance.setState({
+      groupingTarget: "b",
+      isGroupDroppable: true,
+      activeDrag: layout[0],
+      oldDragItem: layout[0]
+    });
+    const event: any = { e: {}, node: {} };
+    instance.onDragStop("a", 2, 0, event);
+    return instance;
+  }
+
+  it("makes the default id unique within the layout", () => {
+    jest.spyOn(Date, "now").mockReturnValue(1000);
+    try {
+      expect(generateGroupId(layout[0], layout[1], layout)).toBe("group-1000");
+      const taken = [
+        { i: "group-1000", x: 0, y: 0, w: 2, h: 2 },
+        {
+          i: "group-2",
+          x: 2,
+          y: 0,
+          w: 2,
+          h: 2,
+          isGroup: true,
+          children: [{ i: "group-1000-1", x: 0, y: 0, w: 2, h: 2 }]
+        }
+      ];
+      expect(generateGroupId(layout[0], layout[1], taken)).toBe("group-1000-2");
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  it("names new groups with generateGroupId", () => {
+    const generate = jest.fn(
+      (dragged, target) => `server-${dragged.i}-${target.i}`
+    );
+    const instance = dropAOntoB({ generateGroupId: generate });
+
+    const [dragged, target, currentLayout] = generate.mock.calls[0];
+    expect(dragged.i).toBe("a");
+    expect(target.i).toBe("b");
+    expect(currentLayout.map(item => item.i)).toEqual(["a", "b"]);
+    expect(instance.state.layout.map(item => item.i)).toEqual(["server-a-b"]);
+  });
+
+  it("warns and suffixes an id generateGroupId returns that is already in the layout", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      const instance = dropAOntoB({ generateGroupId: () => "b" });
+      expect(warn).toHaveBeenCalledWith(
+        expect.stringMatching(/already used in the layout/)
+      );
+      expect(instance.state.layout.map(item => item.i)).toEqual(["b-1"]);
+      // 드래그 상태가 남지 않음
+      expect(instance.state.activeDrag).toBeNull();
+      expect(instance.state.groupingTarget).toBeNull();
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe("Packing group children", () => {
+  it("stacks widgets on the skyline using their real heights", () => {
+    const packed = skylinePack(
+      [
+        { i: "tall", x: 0, y: 0, w: 2, h: 4 },
+        { i: "short", x: 0, y: 0, w: 2, h: 1 },
+        { i: "wide", x: 0, y: 0, w: 4, h: 2 },
+        { i: "small", x: 0, y: 0, w: 2, h: 2 }
+      ],
+      4
+    );
+
+    expect(packed.map(({ i, x, y }) => ({ i, x, y }))).toEqual([
+      { i: "tall", x: 0, y: 0 },
+      { i: "short", x: 2, y: 0 },
+      // 두 위젯 중 더 높은 쪽 바로 아래
+      { i: "wide", x: 0, y: 4 },
+      { i: "small", x: 0, y: 6 }
+    ]);
+  });
+
+  it("fills the gap under a shorter widget", () => {
+    const packed = skylinePack(
+      [
+        { i: "tall", x: 0, y: 0, w: 2, h: 4 },
+        { i: "short", x: 0, y: 0, w: 2, h: 1 },
+        { i: "small", x: 0, y: 0, w: 2, h: 2 }
+      ],
+      4
+    );
+
+    expect(packed[2]).toMatchObject({ x: 2, y: 1 });
+  });
+
+  it("respects minW and minH", () => {
+    const packed = skylinePack(
+      [{ i: "a", x: 0, y: 0, w: 1, h: 1, minW: 2, minH: 3 }],
+      4
+    );
+
+    expect(packed[0]).toMatchObject({ w: 2, h: 3 });
+  });
+
+  it("keeps the group as close to its previous size as possible", () => {
+    const children = [
+      { i: "a", x: 0, y: 0, w: 2, h: 2 },
+      { i: "b", x: 2, y: 0, w: 2, h: 2 },
+      { i: "c", x: 0, y: 0, w: 2, h: 2 },
+      { i: "d", x: 0, y: 0, w: 2, h: 2 }
+    ];
+
+    expect(packGroupChildren(children, 8, { w: 4, h: 2 })).toMatchObject({
+      w: 4,
+      h: 4
+    });
+    expect(packGroupChildren(children, 8, { w: 8, h: 2 })).toMatchObject({
+      w: 8,
+      h: 2
+    });
+    // 너비가 제한되면 그 안에서 배치
+    expect(packGroupChildren(children, 2, { w: 8, h: 2 })).toMatchObject({
+      w: 2,
+      h: 8
+    });
+  });
+
+  it("grows sideways rather than down when both are as close", () => {
+    const children = [
+      { i: "a", x: 0, y: 0, w: 2, h: 2 },
+      { i: "b", x: 2, y: 0, w: 2, h: 2 },
+      { i: "c", x: 0, y: 0, w: 2, h: 2 }
+    ];
+
+    expect(packGroupChildren(children, 6, { w: 4, h: 2 })).toMatchObject({
+      w: 6,
+      h: 2
+    });
+  });
+});
+
+describe("Removing group children", () => {
+  const layout = [
+    {
+      i: "group-1",
+      x: 0,
+      y: 0,
+      w: 6,
+      h: 2,
+      isGroup: true,
+      children: [
+        { i: "a", x: 0, y: 0, w: 2, h: 2 },
+        { i: "b", x: 2, y: 0, w: 2, h: 2 },
+        { i: "c", x: 4, y: 0, w: 2, h: 2 }
+      ]
+    },
+    { i: "d", x: 0, y: 2, w: 2, h: 2 }
+  ];
+
+  it("keeps groups from the layout prop when children render", () => {
+    const wrapper = mountGrid(layout);
+
+    const ids = wrapper.instance().state.layout.map(item => item.i);
+    expect(ids.sort()).toEqual(["d", "group-1"]);
+  });
+
+  it("shrinks a group when one of its children goes away", () => {
+    const onLayoutChange = jest.fn();
+    const wrapper = mountGrid(layout, { onLayoutChange });
+    onLayoutChange.mockClear();
+
+    wrapper.setProps({
+      children: ["a", "c", "d"].map(key => <div key={key}>{key}</div>)
+    });
+
+    const group: any = wrapper
+      .instance()
+      .state.layout.find(item => item.i === "group-1");
+    expect(group.children.map(child => child.i)).toEqual(["a", "c"]);
+    expect(group).toMatchObject({ w: 6, h: 2 });
+    expect(onLayoutChange).toHaveBeenCalledTimes(1);
+  });
+
+  it("dissolves a group with a single member left and reports it", () => {
+    const onGroupDissolve = jest.fn();
+    const onLayoutChange = jest.fn();
+    const wrapper = mountGrid(layout, {
+      onGroupDissolve,
+      onLayoutChange
+    });
+    onLayoutChange.mockClear();
+
+    wrapper.setProps({
+      children: ["b", "d"].map(key => <div key={key}>{key}</div>)
+    });
+
+    const newLayout = wrapper.instance().state.layout;
+    expect(newLayout.find(item => item.isGroup)).toBeUndefined();
+    // 남은 멤버는 그룹이 있던 자리로 이동
+    expect(newLayout.find(item => item.i === "b")).toMatchObject({
+      x: 0,
+      y: 0,
+      w: 2,
+      h: 2
+    });
+    expect(onGroupDissolve).toHaveBeenCalledTimes(1);
+    expect(onGroupDissolve).toHaveBeenCalledWith(
+      expect.objectContaining({ i: "group-1", isGroup: true })
+    );
+    expect(onLayoutChange).toHaveBeenCalled();
+    expect(wrapper.instance().state.dissolvedGroups).toEqual([]);
+  });
+
+  it("removes a group whose children are all gone", () => {
+    const onGroupDissolve = jest.fn();
+    const wrapper = mountGrid(layout, { onGroupDissolve });
+
+    wrapper.setProps({ children: [<div key="d">d</div>] });
+
+    expect(wrapper.instance().state.layout.map(item => item.i)).toEqual(["d"]);
+    expect(onGroupDissolve).toHaveBeenCalledWith(
+      expect.objectContaining({ i: "group-1", isGroup: true })
+    );
+  });
+});
+
+describe("Nested groups", () => {
+  const layout = [
+    {
+      i: "group-1",
+      x: 0,
+      y: 0,
+      w: 4,
+      h: 4,
+      isGroup: true,
+      children: [
+        { i: "a", x: 0, y: 0, w: 2, h: 2 },
+        { i: "b", x: 2, y: 0, w: 2, h: 2 },
+        { i: "c", x: 0, y: 2, w: 2, h: 2 }
+      ]
+    },
+    { i: "d", x: 4, y: 0, w: 2, h: 2 }
+  ];
+  const nestedLayout = [
+    {
+      ...layout[0],
+      children: [
+        {
+          i: "sub-1",
+          x: 0,
+          y: 0,
+          w: 4,
+          h: 2,
+          isGroup: true,
+          children: [
+            { i: "a", x: 0, y: 0, w: 2, h: 2 },
+            { i: "b", x: 2, y: 0, w: 2, h: 2 }
+          ]
+        },
+        { i: "c", x: 0, y: 2, w: 2, h: 2 }
+      ]
+    },
+    layout[1]
+  ];
+  // 포인터가 그룹 안에 있는 드롭
+  const event: any = {
+    e: { clientX: 10, clientY: 10 },
+    node: {
+      closest: () => ({
+        getBoundingClientRect: () => ({
+          left: 0,
+          top: 0,
+          right: 1000,
+          bottom: 1000
+        })
+      })
+    }
+  };
+
+  const mouseEvent: any = {};
+
+  it("does not group inside a group with the default maxGroupDepth", () => {
+    const wrapper = mountGrid(layout, { groupingDelay: 0 });
+    const inner = wrapper.find(ReactGridLayout).at(1).instance();
+
+    expect(inner.props.groupDepth).toBe(1);
+    expect(inner.isGroupingActive(layout[0].children[0], mouseEvent)).toBe(
+      false
+    );
+    expect(wrapper.instance().isGroupingActive(layout[1], mouseEvent)).toBe(
+      true
+    );
+  });
+
+  it("creates a sub-group inside a group up to maxGroupDepth", () => {
+    const onGroupCreate = jest.fn();
+    const wrapper = mountGrid(layout, {
+      maxGroupDepth: 2,
+      generateGroupId: () => "sub-1",
+      onGroupCreate
+    });
+    const inner = wrapper.find(ReactGridLayout).at(1).instance();
+    expect(inner.isGroupingActive(layout[0].children[0], mouseEvent)).toBe(
+      true
+    );
+
+    inner.setState({
+      groupingTarget: "b",
+      isGroupDroppable: true,
+      activeDrag: { i: "a", x: 2, y: 0, w: 2, h: 2 },
+      oldDragItem: { i: "a", x: 0, y: 0, w: 2, h: 2 }
+    });
+    inner.onDragStop("a", 2, 0, event);
+    wrapper.update();
+
+    const newLayout = wrapper.instance().state.layout;
+    expect(newLayout.map(item => item.i).sort()).toEqual(["d", "group-1"]);
+    const group: any = newLayout.find(item => item.i === "group-1");
+    const sub = group.children.find(child => child.i === "sub-1");
+    expect(sub).toMatchObject({ isGroup: true });
+    expect(sub.children.map(child => child.i).sort()).toEqual(["a", "b"]);
+    expect(group.children.map(child => child.i).sort()).toEqual(["c", "sub-1"]);
+    expect(onGroupCreate).toHaveBeenCalledTimes(1);
+
+    // 하위 그룹은 그룹의 내부 그리드 안에서 다시 내부 그리드로 렌더링됨
+    expect(wrapper.find(ReactGridLayout).length).toBe(3);
+    expect(wrapper.text()).toContain("A");
+    expect(wrapper.text()).toContain("B");
+    expect(wrapper.text()).toContain("C");
+  });
+
+  it("keeps a sub-group's default id unique across the whole tree", () => {
+    // 기본 생성기가 최상위 그룹과 같은 "group-1"을 만들게 함
+    const now = jest.spyOn(Date, "now").mockReturnValue(1);
+    try {
+      const wrapper = mountGrid(layout, { maxGroupDepth: 2 });
+      const inner = wrapper.find(ReactGridLayout).at(1).instance();
+
+      inner.setState({
+        groupingTarget: "b",
+        isGroupDroppable: true,
+        activeDrag: { i: "a", x: 2, y: 0, w: 2, h: 2 },
+        oldDragItem: { i: "a", x: 0, y: 0, w: 2, h: 2 }
+      });
+      inner.onDragStop("a", 2, 0, event);
+      wrapper.update();
+
+      const group: any = wrapper
+        .instance()
+        .state.layout.find(item => item.i === "group-1");
+      expect(group.children.map(child => child.i).sort()).toEqual([
+        "c",
+        "group-1-1"
+      ]);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  it("renders every level with the same column width", () => {
+    const wrapper = mountGrid(nestedLayout, { maxGroupDepth: 2 });
+
+    expect(
+      wrapper
+        .instance()
+        .state.layout.map(item => item.i)
+        .sort()
+    ).toEqual(["d", "group-1"]);
+    const grids = wrapper.find(ReactGridLayout);
+    expect(grids.length).toBe(3);
+    expect(grids.at(2).props().groupDepth).toBe(2);
+
+    const colWidths = grids.map(grid => {
+      const { margin, containerPadding, width, cols, rowHeight, maxRows } =
+        grid.props();
+      return calcGridColWidth({
+        margin,
+        containerPadding: containerPadding || margin,
+        containerWidth: width,
+        cols,
+        rowHeight,
+        maxRows
+      });
+    });
+    expect(colWidths[1]).toBeCloseTo(colWidths[0]);
+    expect(colWidths[2]).toBeCloseTo(colWidths[0]);
+    expect(wrapper.text()).toContain("A");
+    expect(wrapper.text()).toContain("B");
+  });
+
+  it("drags groups only by their chrome", () => {
+    const wrapper = mountGrid(nestedLayout, { maxGroupDepth: 2 });
+
+    const cancels = {};
+    wrapper.find(GridItem).forEach(item => {
+      cancels[item.props().i] = item.props().cancel;
+    });
+    expect(cancels["group-1"]).toBe(".react-grid-layout, .non-draggable");
+    expect(cancels["sub-1"]).toBe(".react-grid-layout, .non-draggable");
+    expect(cancels.d).toBe(".non-draggable");
+  });
+
+  it("dissolves a sub-group when its children are removed", () => {
+    const onGroupDissolve = jest.fn();
+    const wrapper = mountGrid(nestedLayout, {
+      maxGroupDepth: 2,
+      onGroupDissolve
+    });
+
+    wrapper.setProps({
+      children: ["b", "c", "d"].map(key => <div key={key}>{key}</div>)
+    });
+
+    const group: any = wrapper
+      .instance()
+      .state.layout.find(item => item.i === "group-1");
+    expect(group.children.map(child => child.i).sort()).toEqual(["b", "c"]);
+    expect(onGroupDissolve).toHaveBeenCalledTimes(1);
+    expect(onGroupDissolve).toHaveBeenCalledWith(
+      expect.objectContaining({ i: "sub-1" })
+    );
+  });
+});
+
+describe("Collapsible groups", () => {
+  const layout = [
+    {
+      i: "group-1",
+      x: 0,
+      y: 0,
+      w: 4,
+      h: 2,
+      isGroup: true,
+      children: [
+        { i: "a", x: 0, y: 0, w: 2, h: 2 },
+        { i: "b", x: 2, y: 0, w: 2, h: 2 }
+      ]
+    },
+    { i: "c", x: 0, y: 2, w: 2, h: 2 },
+    { i: "d", x: 4, y: 0, w: 2, h: 2 }
+  ];
+
+  function findItem(wrapper, id): any {
+    return wrapper.instance().state.layout.find(item => item.i === id);
+  }
+
+  it("collapses a group to a header row and pulls up the items below", () => {
+    const onLayoutChange = jest.fn();
+    const wrapper = mountGrid(layout, { onLayoutChange });
+    onLayoutChange.mockClear();
+
+    wrapper.instance().collapseGroup("group-1");
+    wrapper.update();
+
+    expect(findItem(wrapper, "group-1")).toMatchObject({
+      collapsed: true,
+      expandedH: 2,
+      h: 1
+    });
+    expect(findItem(wrapper, "c")).toMatchObject({ x: 0, y: 1 });
+    expect(onLayoutChange).toHaveBeenCalledTimes(1);
+    expect(onLayoutChange.mock.calls[0][0][0]).toMatchObject({
+      i: "group-1",
+      collapsed: true,
+      expandedH: 2
+    });
+
+    // 접힌 그룹은 헤더만 렌더링
+    expect(wrapper.find(ReactGridLayout).length).toBe(1);
+    expect(wrapper.find(".react-grid-group-title").text()).toBe("group-1");
+    expect(wrapper.find(".react-grid-group-count").text()).toBe("(2)");
+    const groupItem = wrapper
+      .find(GridItem)
+      .filterWhere(item => item.props().i === "group-1");
+    expect(groupItem.props().isResizable).toBe(false);
+  });
+
+  it("expands a group and pushes colliding items down", () => {
+    const collapsedLayout = [
+      { ...layout[0], collapsed: true, expandedH: 2, h: 1 },
+      { ...layout[1], y: 1 },
+      layout[2]
+    ];
+    const wrapper = mountGrid(collapsedLayout, { compactType: null });
+
+    wrapper.instance().expandGroup("group-1");
+
+    const group = findItem(wrapper, "group-1");
+    expect(group).toMatchObject({ collapsed: false, h: 2 });
+    expect(group.expandedH).toBeUndefined();
+    expect(findItem(wrapper, "c")).toMatchObject({ x: 0, y: 2 });
+    expect(findItem(wrapper, "d")).toMatchObject({ x: 4, y: 0 });
+  });
+
+  it("toggles from the default header button", () => {
+    const wrapper = mountGrid(layout);
+
+    wrapper.find("button.react-grid-group-toggle").simulate("click");
+    expect(findItem(wrapper, "group-1")).toMatchObject({
+      collapsed: true,
+      h: 1
+    });
+    expect(wrapper.find("button.react-grid-group-toggle").text()).toBe(
+      "Expand"
+    );
+
+    wrapper.find("button.react-grid-group-toggle").simulate("click");
+    expect(findItem(wrapper, "group-1")).toMatchObject({
+      collapsed: false,
+      h: 2
+    });
+    expect(wrapper.find(ReactGridLayout).length).toBe(2);
+  });
+
+  it("keeps a collapsed group collapsed when its children change", () => {
+    const collapsedLayout = [
+      {
+        ...layout[0],
+        w: 6,
+        collapsed: true,
+        expandedH: 2,
+        h: 1,
+        children: [...layout[0].children, { i: "e", x: 4, y: 0, w: 2, h: 4 }]
+      },
+      { ...layout[1], y: 1 }
+    ];
+    const wrapper = mountGrid(collapsedLayout, {}, ["a", "b", "c", "e"]);
+
+    wrapper.setProps({
+      children: ["a", "b", "c"].map(key => <div key={key}>{key}</div>)
+    });
+
+    expect(findItem(wrapper, "group-1")).toMatchObject({
+      collapsed: true,
+      h: 1,
+      w: 4,
+      expandedH: 2
+    });
+  });
+});
+
+describe("Tabbed groups", () => {
+  const layout = [
+    {
+      i: "group-1",
+      x: 0,
+      y: 0,
+      w: 2,
+      h: 2,
+      isGroup: true,
+      groupMode: "tabs",
+      children: [
+        { i: "a", x: 0, y: 0, w: 2, h: 2 },
+        { i: "b", x: 0, y: 0, w: 2, h: 2 }
+      ]
+    },
+    { i: "c", x: 2, y: 0, w: 2, h: 3 }
+  ];
+
+  function findItem(wrapper, id): any {
+    return wrapper.instance().state.layout.find(item => item.i === id);
+  }
+
+  function panelDisplays(wrapper) {
+    return wrapper
+      .find(".react-grid-group-tab-panel")
+      .map(panel => panel.props().style.display);
+  }
+
+  it("shows one child at a time instead of a nested grid", () => {
+    const wrapper = mountGrid(layout);
+
+    expect(wrapper.find(ReactGridLayout).length).toBe(1);
+    expect(
+      wrapper.find(".react-grid-group-tab").map(tab => tab.text())
+    ).toEqual(["a", "b"]);
+    expect(panelDisplays(wrapper)).toEqual(["block", "none"]);
+  });
+
+  it("switches tabs and reports the active tab in the layout", () => {
+    const onLayoutChange = jest.fn();
+    const wrapper = mountGrid(layout, { onLayoutChange });
+    onLayoutChange.mockClear();
+
+    wrapper.find(".react-grid-group-tab").at(1).simulate("click");
+
+    expect(panelDisplays(wrapper)).toEqual(["none", "block"]);
+    expect(findItem(wrapper, "group-1").activeTab).toBe("b");
+    expect(onLayoutChange).toHaveBeenCalledTimes(1);
+    expect(onLayoutChange.mock.calls[0][0][0]).toMatchObject({
+      i: "group-1",
+      activeTab: "b"
+    });
+  });
+
+  it("adds a dropped item as a new tab without re-packing", () => {
+    const wrapper = mountGrid(layout);
+    const instance = wrapper.instance();
+
+    instance.setState({
+      groupingTarget: "group-1",
+      isGroupDroppable: true,
+      activeDrag: { i: "c", x: 0, y: 0, w: 2, h: 3 },
+      oldDragItem: { i: "c", x: 2, y: 0, w: 2, h: 3 }
+    });
+    const event: any = { e: {}, node: {} };
+    instance.onDragStop("c", 0, 0, event);
+
+    const group = findItem(wrapper, "group-1");
+    expect(group).toMatchObject({ x: 0, y: 0, w: 2, h: 2, activeTab: "c" });
+    expect(group.children.map(child => child.i)).toEqual(["a", "b", "c"]);
+    expect(group.children[2]).toMatchObject({ x: 0, y: 0, w: 2, h: 2 });
+  });
+
+  it("keeps the group size when a tab is removed", () => {
+    const wrapper = mountGrid([
+      {
+        ...layout[0],
+        activeTab: "b",
+        children: [...layout[0].children, { i: "c", x: 0, y: 0, w: 2, h: 2 }]
+      }
+    ]);
+
+    wrapper.setProps({
+      children: ["a", "c"].map(key => <div key={key}>{key}</div>)
+    });
+
+    const group = findItem(wrapper, "group-1");
+    expect(group).toMatchObject({ w: 2, h: 2 });
+    expect(group.children.map(child => child.i)).toEqual(["a", "c"]);
+    wrapper.update();
+    expect(panelDisplays(wrapper)).toEqual(["block", "none"]);
+  });
+});
+
+describe("Responsive groups", () => {
+  const breakpoints = { lg: 1200, sm: 0 };
+  const cols = { lg: 12, sm: 4 };
+  const children = [
+    { i: "a", x: 0, y: 0, w: 2, h: 2 },
+    { i: "b", x: 2, y: 0, w: 2, h: 2 },
+    { i: "c", x: 4, y: 0, w: 2, h: 2 }
+  ];
+  const group = {
+    i: "group-1",
+    x: 0,
+    y: 0,
+    w: 6,
+    h: 2,
+    isGroup: true,
+    children
+  };
+
+  function expectNoOverlap(items) {
+    items.forEach((child, index) => {
+      items.slice(index + 1).forEach(other => {
+        expect(getAllCollisions([other], child)).toEqual([]);
+      });
+    });
+  }
+
+  it("re-packs groups for a breakpoint with fewer cols", () => {
+    const layout = findOrGenerateResponsiveLayout(
+      { lg: [group, { i: "d", x: 6, y: 0, w: 2, h: 2 }] },
+      breakpoints,
+      "sm",
+      "lg",
+      4,
+      "vertical"
+    );
+
+    const smGroup: any = layout.find(item => item.i === "group-1");
+    expect(smGroup.w).toBeLessThanOrEqual(4);
+    smGroup.children.forEach(child => {
+      expect(child.x + child.w).toBeLessThanOrEqual(smGroup.w);
+    });
+    expectNoOverlap(smGroup.children);
+    expect(smGroup.children.map(child => child.i)).toEqual(["a", "b", "c"]);
+  });
+
+  it("groups the same items at another breakpoint", () => {
+    const sm = [
+      { i: "a", x: 0, y: 2, w: 4, h: 1 },
+      { i: "b", x: 0, y: 3, w: 4, h: 1 },
+      { i: "d", x: 0, y: 0, w: 4, h: 2 }
+    ];
+    const lg = [
+      {
+        ...group,
+        w: 4,
+        children: children.slice(0, 2)
+      },
+      { i: "d", x: 4, y: 0, w: 2, h: 2 }
+    ];
+
+    const synced = syncResponsiveGroups(lg, sm, 4, "vertical");
+
+    expect(synced.map(item => item.i).sort()).toEqual(["d", "group-1"]);
+    const smGroup: any = synced.find(item => item.i === "group-1");
+    // 그룹은 첫 멤버(a)의 자리에 놓이고, 멤버는 sm에서의 크기를 유지
+    expect(smGroup).toMatchObject({ x: 0, y: 2, w: 4, h: 2 });
+    expect(smGroup.children).toEqual([
+      expect.objectContaining({ i: "a", x: 0, y: 0, w: 4, h: 1 }),
+      expect.objectContaining({ i: "b", x: 0, y: 1, w: 4, h: 1 })
+    ]);
+
+    // 그룹 구성이 같으면 그대로 둠
+    expect(syncResponsiveGroups(lg, synced, 4, "vertical")).toBe(synced);
+  });
+
+  it("dissolves groups that the other breakpoint no longer has", () => {
+    const lg: any = children;
+    const sm = [{ ...group, w: 4, h: 4 }];
+
+    const synced = syncResponsiveGroups(lg, sm, 4, "vertical");
+
+    expect(synced.map(item => item.i).sort()).toEqual(["a", "b", "c"]);
+  });
+
+  function mountResponsive(props: Object = {}) {
+    return mount(
+      <ResponsiveReactGridLayout
+        breakpoints={breakpoints}
+        cols={cols}
+        width={1300}
+        rowHeight={150}
+        {...props}
+      >
+        {["a", "b", "c", "d"].map(key => (
+          <div key={key}>{key}</div>
+        ))}
+      </ResponsiveReactGridLayout>
+    );
+  }
+
+  it("reports a new group at every breakpoint", () => {
+    const onLayoutChange = jest.fn();
+    const wrapper = mountResponsive({
+      layouts: {
+        lg: [
+          { i: "a", x: 0, y: 0, w: 2, h: 2 },
+          { i: "b", x: 2, y: 0, w: 2, h: 2 },
+          { i: "c", x: 4, y: 0, w: 2, h: 2 },
+          { i: "d", x: 6, y: 0, w: 2, h: 2 }
+        ],
+        sm: [
+          { i: "a", x: 0, y: 0, w: 2, h: 2 },
+          { i: "b", x: 2, y: 0, w: 2, h: 2 },
+          { i: "c", x: 0, y: 2, w: 4, h: 2 },
+          { i: "d", x: 0, y: 4, w: 4, h: 2 }
+        ]
+      },
+      generateGroupId: () => "group-1",
+      onLayoutChange
+    });
+    const grid = wrapper.find(ReactGridLayout).first().instance();
+    onLayoutChange.mockClear();
+
+    grid.setState({
+      groupingTarget: "b",
+      isGroupDroppable: true,
+      activeDrag: { i: "a", x: 2, y: 0, w: 2, h: 2 },
+      oldDragItem: { i: "a", x: 0, y: 0, w: 2, h: 2 }
+    });
+    const event: any = { e: {}, node: {} };
+    grid.onDragStop("a", 2, 0, event);
+
+    expect(onLayoutChange).toHaveBeenCalledTimes(1);
+    const [, layouts] = onLayoutChange.mock.calls[0];
+    const smGroup = layouts.sm.find(item => item.i === "group-1");
+    expect(smGroup).toMatchObject({ isGroup: true });
+    expect(smGroup.children.map(child => child.i).sort()).toEqual(["a", "b"]);
+    expect(smGroup.w).toBeLessThanOrEqual(4);
+    expect(layouts.sm.map(item => item.i).sort()).toEqual([
+      "c",
+      "d",
+      "group-1"
+    ]);
+  });
+
+  it("keeps the inner grid within the cols of a narrower breakpoint", () => {
+    const onLayoutChange = jest.fn();
+    const wrapper = mountResponsive({
+      layouts: { lg: [group, { i: "d", x: 6, y: 0, w: 2, h: 2 }] },
+      onLayoutChange
+    });
+
+    wrapper.setProps({ width: 500 });
+    wrapper.update();
+
+    const [smLayout, layouts] = onLayoutChange.mock.calls[0];
+    expect(layouts.sm).toBe(smLayout);
+    const smGroup = smLayout.find(item => item.i === "group-1");
+    expect(smGroup.w).toBeLessThanOrEqual(4);
+
+    const inner = wrapper.find(ReactGridLayout).at(1);
+    expect(inner.props().cols).toBeLessThanOrEqual(4);
+  });
+});
+
+describe("External drops", () => {
+  const droppingItem = { i: "__dropping-elem__", w: 2, h: 2 };
+  const dropEvent: any = { preventDefault() {}, stopPropagation() {} };
+
+  // 외부 드래그가 타겟 위에서 그룹화 준비 상태가 된 시점을 재현
+  function hoverDroppingItem(wrapper, targetId) {
+    const instance = wrapper.instance();
+    instance.setState({
+      layout: instance.state.layout.concat({
+        ...droppingItem,
+        x: 4,
+        y: 2
+      }),
+      droppingDOMNode: <div key={droppingItem.i} />,
+      groupingTarget: targetId,
+      isGroupDroppable: true
+    });
+  }
+
+  const layout = [
+    { i: "a", x: 0, y: 0, w: 2, h: 2 },
+    { i: "b", x: 2, y: 0, w: 2, h: 2 },
+    { i: "c", x: 4, y: 0, w: 2, h: 2 }
+  ];
+
+  it("groups the dropped item with the item it was held over", () => {
+    const onDrop = jest.fn();
+    const onGroupCreate = jest.fn();
+    const wrapper = mountGrid(layout, {
+      isDroppable: true,
+      droppingItem,
+      onDrop,
+      onGroupCreate,
+      generateGroupId: () => "group-1"
+    });
+    hoverDroppingItem(wrapper, "b");
+
+    wrapper.instance().onDrop(dropEvent);
+
+    expect(onGroupCreate).toHaveBeenCalledTimes(1);
+    expect(onDrop).toHaveBeenCalledTimes(1);
+    const [droppedLayout, item, , groupInfo] = onDrop.mock.calls[0];
+    expect(groupInfo).toEqual({ groupId: "group-1", isNewGroup: true });
+    const group = droppedLayout.find(l => l.i === "group-1");
+    expect(group.isGroup).toBe(true);
+    expect(group.children.map(child => child.i).sort()).toEqual([
+      "__dropping-elem__",
+      "b"
+    ]);
+    expect(item).toMatchObject({ i: "__dropping-elem__", w: 2, h: 2 });
+    expect(droppedLayout.some(l => l.i === "b")).toBe(false);
+  });
+
+  it("adds the dropped item to the group it was held over", () => {
+    const onDrop = jest.fn();
+    const onGroupAdd = jest.fn();
+    const wrapper = mountGrid(
+      [
+        {
+          i: "group-1",
+          x: 0,
+          y: 0,
+          w: 4,
+          h: 2,
+          isGroup: true,
+          children: [
+            { i: "a", x: 0, y: 0, w: 2, h: 2 },
+            { i: "b", x: 2, y: 0, w: 2, h: 2 }
+          ]
+        },
+        { i: "c", x: 4, y: 0, w: 2, h: 2 }
+      ],
+      { isDroppable: true, droppingItem, onDrop, onGroupAdd }
+    );
+    hoverDroppingItem(wrapper, "group-1");
+
+    wrapper.instance().onDrop(dropEvent);
+
+    expect(onGroupAdd).toHaveBeenCalledTimes(1);
+    const [droppedLayout, item, , groupInfo] = onDrop.mock.calls[0];
+    expect(groupInfo).toEqual({ groupId: "group-1", isNewGroup: false });
+    const group = droppedLayout.find(l => l.i === "group-1");
+    expect(group.children.map(child => child.i)).toContain("__dropping-elem__");
+    expect(item).toMatchObject({ i: "__dropping-elem__" });
+  });
+
+  it("gives the dropped item the app's id inside the group", () => {
+    const getDroppedItemId = jest.fn(() => "d");
+    const wrapper = mountGrid(layout, {
+      isDroppable: true,
+      droppingItem,
+      getDroppedItemId,
+      generateGroupId: () => "group-1"
+    });
+    // 앱은 받은 레이아웃을 그대로 돌려주고 새 ID로 자식만 추가함
+    const onDrop = jest.fn(droppedLayout => {
+      wrapper.setProps({
+        layout: droppedLayout,
+        children: ["a", "b", "c", "d"].map(key => (
+          <div key={key}>{key.toUpperCase()}</div>
+        ))
+      });
+    });
+    wrapper.setProps({ onDrop });
+    hoverDroppingItem(wrapper, "b");
+
+    wrapper.instance().onDrop(dropEvent);
+    wrapper.update();
+
+    expect(getDroppedItemId.mock.calls[0][0]).toMatchObject({
+      i: "__dropping-elem__"
+    });
+    expect(onDrop.mock.calls[0][1]).toMatchObject({ i: "d" });
+    const group: any = wrapper
+      .instance()
+      .state.layout.find(l => l.i === "group-1");
+    expect(group.children.map(child => child.i).sort()).toEqual(["b", "d"]);
+    const inner = wrapper.find(ReactGridLayout).at(1);
+    expect(
+      inner
+        .find(GridItem)
+        .map(item => item.prop("i"))
+        .sort()
+    ).toEqual(["b", "d"]);
+  });
+
+  it("gives a plain dropped item the app's id", () => {
+    const onDrop = jest.fn();
+    const wrapper = mountGrid(layout, {
+      isDroppable: true,
+      droppingItem,
+      onDrop,
+      getDroppedItemId: () => "d"
+    });
+    hoverDroppingItem(wrapper, "b");
+    wrapper.instance().setState({ isGroupDroppable: false });
+
+    wrapper.instance().onDrop(dropEvent);
+
+    const [droppedLayout, item] = onDrop.mock.calls[0];
+    expect(item).toMatchObject({ i: "d", w: 2, h: 2 });
+    expect(droppedLayout.map(l => l.i)).toEqual(["a", "b", "c", "d"]);
+  });
+
+  it("drops as a plain item when the grouping is vetoed", () => {
+    const onDrop = jest.fn();
+    const wrapper = mountGrid(layout, {
+      isDroppable: true,
+      droppingItem,
+      onDrop,
+      onGroupCreate: () => false
+    });
+    hoverDroppingItem(wrapper, "b");
+
+    wrapper.instance().onDrop(dropEvent);
+
+    const [droppedLayout, item, , groupInfo] = onDrop.mock.calls[0];
+    expect(groupInfo).toEqual({ groupId: null, isNewGroup: false });
+    expect(droppedLayout.some(l => l.isGroup)).toBe(false);
+    expect(item).toMatchObject({ i: "__dropping-elem__", x: 4, y: 2 });
+  });
+
+  it("reports no group and clears the grouping state for a plain drop", () => {
+    const onDrop = jest.fn();
+    const wrapper = mountGrid(layout, {
+      isDroppable: true,
+      droppingItem,
+      onDrop
+    });
+    hoverDroppingItem(wrapper, "b");
+    wrapper.instance().setState({ isGroupDroppable: false });
+
+    wrapper.instance().onDrop(dropEvent);
+
+    expect(onDrop.mock.calls[0][3]).toEqual({
+      groupId: null,
+      isNewGroup: false
+    });
+    const { state } = wrapper.instance();
+    expect(state.groupingTarget).toBe(null);
+    expect(state.isGroupDroppable).toBe(false);
+    expect(state.layout.some(l => l.i === "__dropping-elem__")).toBe(false);
+  });
+});
+
+describe("Grouping in code", () => {
+  const layout = [
+    { i: "a", x: 0, y: 0, w: 2, h: 2 },
+    { i: "b", x: 2, y: 0, w: 2, h: 2 },
+    { i: "c", x: 2, y: 2, w: 2, h: 2 },
+    { i: "d", x: 4, y: 0, w: 2, h: 2 }
+  ];
+
+  it("groups items at the top-left of their bounding box", () => {
+    const newLayout = groupItems(layout, ["c", "b"], "group-1", 6);
+
+    const group: any = newLayout.find(item => item.i === "group-1");
+    expect(group).toMatchObject({ x: 2, y: 0, w: 4, h: 2, isGroup: true });
+    expect(group.children).toEqual([
+      { i: "b", x: 0, y: 0, w: 2, h: 2 },
+      { i: "c", x: 2, y: 0, w: 2, h: 2 }
+    ]);
+    expect(newLayout.map(item => item.i)).toEqual(["a", "d", "group-1"]);
+    // 입력 레이아웃은 바뀌지 않음
+    expect(layout).toHaveLength(4);
+  });
+
+  it("packs more than two items into one group", () => {
+    const newLayout = groupItems(layout, ["a", "b", "c"], "group-1", 6);
+
+    const group: any = newLayout.find(item => item.i === "group-1");
+    expect(group).toMatchObject({ x: 0, y: 0 });
+    expect(group.children.map(child => child.i).sort()).toEqual([
+      "a",
+      "b",
+      "c"
+    ]);
+    expect(group.x + group.w).toBeLessThanOrEqual(6);
+  });
+
+  it("leaves the layout alone with fewer than two items or a used id", () => {
+    expect(groupItems(layout, ["a", "missing"], "group-1", 6)).toBe(layout);
+    expect(groupItems(layout, ["a", "b"], "c", 6)).toBe(layout);
+  });
+
+  it("merges groups instead of nesting them, like dragging does", () => {
+    const grouped = groupItems(layout, ["a", "b"], "group-1", 6);
+
+    const regrouped = groupItems(grouped, ["group-1", "c"], "group-2", 6);
+    const group: any = regrouped.find(item => item.i === "group-2");
+    expect(group.children.map(child => child.i).sort()).toEqual([
+      "a",
+      "b",
+      "c"
+    ]);
+    expect(group.children.some(child => child.isGroup)).toBe(false);
+    expect(regrouped.some(item => item.i === "group-1")).toBe(false);
+
+    const other = groupItems(grouped, ["c", "d"], "group-2", 6);
+    const merged = moveIntoGroup(other, "group-2", "group-1", 6);
+    const target: any = merged.find(item => item.i === "group-1");
+    expect(target.children.map(child => child.i).sort()).toEqual([
+      "a",
+      "b",
+      "c",
+      "d"
+    ]);
+    expect(merged.some(item => item.i === "group-2")).toBe(false);
+  });
+
+  it("moves an item into a group", () => {
+    const grouped = groupItems(layout, ["a", "b"], "group-1", 6);
+    const newLayout = moveIntoGroup(grouped, "d", "group-1", 6);
+
+    const group: any = newLayout.find(item => item.i === "group-1");
+    expect(group.children.map(child => child.i).sort()).toEqual([
+      "a",
+      "b",
+      "d"
+    ]);
+    expect(newLayout.some(item => item.i === "d")).toBe(false);
+    expect(moveIntoGroup(grouped, "d", "c", 6)).toBe(grouped);
+  });
+
+  it("applies groupItems and moveIntoGroup on the grid and reports them", () => {
+    const onLayoutChange = jest.fn();
+    const onGroupCreate = jest.fn();
+    const wrapper = mountGrid(layout, {
+      onLayoutChange,
+      onGroupCreate,
+      generateGroupId: () => "group-1"
+    });
+    onLayoutChange.mockClear();
+
+    expect(wrapper.instance().groupItems(["a", "b"])).toBe("group-1");
+    expect(onLayoutChange).toHaveBeenCalledTimes(1);
+    expect(onGroupCreate).not.toHaveBeenCalled();
+
+    wrapper.instance().moveIntoGroup("d", "group-1");
+    expect(onLayoutChange).toHaveBeenCalledTimes(2);
+    const reported = onLayoutChange.mock.calls[1][0];
+    const group = reported.find(item => item.i === "group-1");
+    expect(group.children.map(child => child.i).sort()).toEqual([
+      "a",
+      "b",
+      "d"
+    ]);
+    wrapper.update();
+    expect(wrapper.find(".react-grid-group-container")).toHaveLength(1);
+  });
+
+  it("warns and suffixes a used id in groupItems, as when grouping by dragging", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      const wrapper = mountGrid(layout, { generateGroupId: () => "c" });
+      expect(wrapper.instance().groupItems(["a", "b"])).toBe("c-1");
+      expect(warn).toHaveBeenCalledWith(
+        expect.stringMatching(/already used in the layout/)
+      );
+      expect(
+        wrapper
+          .instance()
+          .state.layout.map(item => item.i)
+          .sort()
+      ).toEqual(["c", "c-1", "d"]);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it("returns null from groupItems where groups can't be made", () => {
+    const tooDeep = mountGrid(layout, { groupDepth: 1, maxGroupDepth: 1 });
+    expect(tooDeep.instance().groupItems(["a", "b"])).toBeNull();
+  });
+});
+
+describe("Group grid props", () => {
+  const layout = [
+    {
+      i: "group-1",
+      x: 0,
+      y: 0,
+      w: 4,
+      h: 2,
+      isGroup: true,
+      children: [
+        { i: "a", x: 0, y: 0, w: 2, h: 2 },
+        { i: "b", x: 2, y: 0, w: 2, h: 2 }
+      ]
+    },
+    {
+      i: "group-2",
+      x: 0,
+      y: 2,
+      w: 4,
+      h: 2,
+      isGroup: true,
+      children: [
+        { i: "c", x: 0, y: 0, w: 2, h: 2 },
+        { i: "d", x: 2, y: 0, w: 2, h: 2 }
+      ]
+    }
+  ];
+
+  // 자식 ID로 그 자식이 들어 있는 그룹의 내부 그리드를 찾음
+  function innerGridOf(wrapper, childId) {
+    return wrapper
+      .find(ReactGridLayout)
+      .filterWhere(
+        grid =>
+          grid.prop("isGroup") === true &&
+          grid.prop("layout").some(item => item.i === childId)
+      );
+  }
+
+  function gridItem(wrapper, id) {
+    return wrapper.find(GridItem).filterWhere(item => item.prop("i") === id);
+  }
+
+  it("inherits the parent's drag, resize and compaction settings", () => {
+    const resizeHandle = <span className="custom-handle" />;
+    const wrapper = mountGrid(layout, {
+      isDraggable: false,
+      isResizable: false,
+      compactType: "horizontal",
+      preventCollision: true,
+      useCSSTransforms: false,
+      transformScale: 0.5,
+      draggableHandle: ".handle",
+      resizeHandles: ["e"],
+      resizeHandle
+    });
+
+    const grid = innerGridOf(wrapper, "a");
+    expect(grid.props()).toMatchObject({
+      rowHeight: 150,
+      isDraggable: false,
+      isResizable: false,
+      compactType: "horizontal",
+      preventCollision: true,
+      useCSSTransforms: false,
+      transformScale: 0.5,
+      draggableHandle: ".handle",
+      resizeHandles: ["e"],
+      resizeHandle
+    });
+    expect(gridItem(wrapper, "a").props()).toMatchObject({
+      isDraggable: false,
+      isResizable: false,
+      handle: ".handle"
+    });
+  });
+
+  it("applies groupGridProps on top of the inherited props", () => {
+    const wrapper = mountGrid(layout, {
+      isDraggable: false,
+      groupGridProps: { isDraggable: true, isResizable: false }
+    });
+
+    expect(gridItem(wrapper, "a").props()).toMatchObject({
+      isDraggable: true,
+      isResizable: false
+    });
+    // 그룹 컨테이너 자체는 부모 설정을 따름
+    expect(gridItem(wrapper, "group-1").prop("isDraggable")).toBe(false);
+  });
+
+  it("calls a groupGridProps function with each group", () => {
+    const groupGridProps = jest.fn(group =>
+      group.i === "group-2" ? { isDraggable: false } : {}
+    );
+    const wrapper = mountGrid(layout, { groupGridProps });
+
+    expect(groupGridProps.mock.calls.map(([group]) => group.i)).toEqual(
+      expect.arrayContaining(["group-1", "group-2"])
+    );
+    expect(gridItem(wrapper, "a").prop("isDraggable")).toBe(true);
+    expect(gridItem(wrapper, "c").prop("isDraggable")).toBe(false);
+  });
+
+  it("keeps the props that sync the group with its children", () => {
+    const onLayoutChange = jest.fn();
+    const wrapper = mountGrid(layout, {
+      groupGridProps: { cols: 12, width: 1000, onLayoutChange }
+    });
+
+    const grid = innerGridOf(wrapper, "a");
+    expect(grid.prop("cols")).toBe(4);
+    expect(grid.prop("width")).not.toBe(1000);
+    expect(grid.prop("onLayoutChange")).not.toBe(onLayoutChange);
+  });
+});
+
+describe("Resizing groups", () => {
+  const group = {
+    i: "group-1",
+    x: 0,
+    y: 0,
+    w: 4,
+    h: 2,
+    isGroup: true,
+    children: [
+      { i: "a", x: 0, y: 0, w: 2, h: 2 },
+      { i: "b", x: 2, y: 0, w: 2, h: 2, minW: 2 }
+    ]
+  };
+
+  function childrenOf(item): any {
+    return item.children;
+  }
+
+  it("scales children proportionally", () => {
+    const resized = resizeGroupItem(group, 8, 4);
+
+    expect(resized).toMatchObject({ w: 8, h: 4 });
+    expect(childrenOf(resized)).toMatchObject([
+      { i: "a", x: 0, y: 0, w: 4, h: 4 },
+      { i: "b", x: 4, y: 0, w: 4, h: 4 }
+    ]);
+  });
+
+  it("keeps children at their minimum size and stacks them when they no longer fit", () => {
+    const resized = resizeGroupItem(group, 3, 2);
+
+    expect(childrenOf(resized)).toMatchObject([
+      { i: "a", x: 0, y: 0, w: 2, h: 2 },
+      { i: "b", x: 1, y: 2, w: 2, h: 2 }
+    ]);
+    // 자식이 아래로 밀렸으므로 그룹이 더 높아짐
+    expect(resized.h).toBe(4);
+  });
+
+  it("rescales sub-groups and restacks tabs", () => {
+    const nested = {
+      ...group,
+      children: [
+        { i: "a", x: 0, y: 0, w: 2, h: 2 },
+        {
+          i: "group-2",
+          x: 2,
+          y: 0,
+          w: 2,
+          h: 2,
+          isGroup: true,
+          children: [
+            { i: "b", x: 0, y: 0, w: 1, h: 2 },
+            { i: "c", x: 1, y: 0, w: 1, h: 2 }
+          ]
+        }
+      ]
+    };
+    const subGroup: any = childrenOf(resizeGroupItem(nested, 8, 2))[1];
+    expect(subGroup).toMatchObject({ x: 4, w: 4 });
+    expect(subGroup.children).toMatchObject([
+      { i: "b", x: 0, w: 2 },
+      { i: "c", x: 2, w: 2 }
+    ]);
+
+    const tabs = resizeGroupItem({ ...group, groupMode: "tabs" }, 6, 3);
+    expect(childrenOf(tabs)).toMatchObject([
+      { i: "a", x: 0, y: 0, w: 6, h: 3 },
+      { i: "b", x: 0, y: 0, w: 6, h: 3 }
+    ]);
+  });
+
+  it("derives the group's minimum size from its children", () => {
+    expect(getGroupMinSize(group)).toEqual({ minW: 2, minH: 1 });
+    expect(
+      getGroupMinSize({
+        ...group,
+        minH: 2,
+        children: [{ i: "a", x: 0, y: 0, w: 3, h: 3, minW: 3 }]
+      })
+    ).toEqual({ minW: 3, minH: 2 });
+  });
+
+  it("reflows the children while the group is resized on the grid", () => {
+    const onLayoutChange = jest.fn();
+    const wrapper = mountGrid([group, { i: "c", x: 0, y: 2, w: 2, h: 2 }], {
+      cols: 12,
+      rowHeight: 100,
+      width: 1200,
+      onLayoutChange
+    });
+    const instance = wrapper.instance();
+    const resizeEvent: any = { e: {}, node: {}, handle: "se" };
+    onLayoutChange.mockClear();
+
+    instance.onResizeStart("group-1", 4, 2, resizeEvent);
+    instance.onResize("group-1", 6, 2, resizeEvent);
+    instance.onResize("group-1", 8, 2, resizeEvent);
+    instance.onResizeStop("group-1", 8, 2, resizeEvent);
+
+    const resized: any = instance.state.layout.find(
+      item => item.i === "group-1"
+    );
+    expect(resized.w).toBe(8);
+    expect(resized.children).toMatchObject([
+      { i: "a", x: 0, w: 4 },
+      { i: "b", x: 4, w: 4 }
+    ]);
+    expect(onLayoutChange).toHaveBeenCalledTimes(1);
+
+    wrapper.update();
+    const groupItem = wrapper
+      .find(GridItem)
+      .filterWhere(item => item.prop("i") === "group-1");
+    expect(groupItem.prop("minW")).toBe(2);
+  });
+
+  it("sizes the inner grid from the group, not from its children", () => {
+    const wrapper = mountGrid(
+      [
+        {
+          ...group,
+          w: 6,
+          children: [
+            { i: "a", x: 0, y: 0, w: 2, h: 2, maxW: 2 },
+            { i: "b", x: 2, y: 0, w: 2, h: 2, maxW: 2 }
+          ]
+        }
+      ],
+      { cols: 12, rowHeight: 100, width: 1200 }
+    );
+    const instance = wrapper.instance();
+    const resizeEvent: any = { e: {}, node: {}, handle: "se" };
+
+    // 자식들은 maxW 때문에 넓어지지 않으므로 그룹 너비만 바뀜
+    instance.onResizeStart("group-1", 6, 2, resizeEvent);
+    instance.onResize("group-1", 8, 2, resizeEvent);
+    instance.onResizeStop("group-1", 8, 2, resizeEvent);
+    wrapper.update();
+
+    const resized: any = instance.state.layout.find(
+      item => item.i === "group-1"
+    );
+    expect(resized.w).toBe(8);
+    expect(resized.children).toMatchObject([
+      { i: "a", w: 2 },
+      { i: "b", w: 2 }
+    ]);
+    expect(wrapper.find(ReactGridLayout).at(1).prop("cols")).toBe(8);
+  });
+});
+
+describe("Grouping hit-testing", () => {
+  const layout = [
+    { i: "a", x: 0, y: 0, w: 2, h: 2 },
+    { i: "b", x: 2, y: 0, w: 2, h: 2 },
+    { i: "c", x: 4, y: 0, w: 2, h: 2 }
+  ];
+
+  // 컨테이너 DOM의 화면상 위치와 스크롤 위치를 흉내냄
+  function placeContainer(
+    element: any,
+    left: number,
+    top: number,
+    scrollLeft = 0,
+    scrollTop = 0
+  ) {
+    element.getBoundingClientRect = () => ({ left, top });
+    Object.defineProperty(element, "scrollLeft", { value: scrollLeft });
+    Object.defineProperty(element, "scrollTop", { value: scrollTop });
+  }
+
+  function pointer(clientX: number, clientY: number): any {
+    return { clientX, clientY };
+  }
+
+  // 아이템 b는 그리드 기준 (207, 10)부터 187x310 영역을 차지하고, 중심은 약 (300, 165)
+  it("finds the target on an offset grid", () => {
+    const wrapper = mountGrid(layout, { groupingDelay: 0 });
+    placeContainer(wrapper.getDOMNode(), 100, 50);
+
+    wrapper.instance().handleGroupingTarget("a", pointer(400, 215));
+    expect(wrapper.instance().state.groupingTarget).toBe("b");
+  });
+
+  it("divides the pointer offset by transformScale", () => {
+    const wrapper = mountGrid(layout, {
+      groupingDelay: 0,
+      transformScale: 0.5
+    });
+    placeContainer(wrapper.getDOMNode(), 100, 50);
+
+    // 화면에서는 절반 크기이므로 b의 중심은 (100 + 150, 50 + 82)
+    // 배율을 무시하면 그리드 기준 (150, 82)인 a 위로 계산됨
+    wrapper.instance().handleGroupingTarget("c", pointer(250, 132));
+    expect(wrapper.instance().state.groupingTarget).toBe("b");
+  });
+
+  it("adds the container's scroll position", () => {
+    const wrapper = mountGrid(layout, { groupingDelay: 0 });
+    placeContainer(wrapper.getDOMNode(), 0, 0, 200, 0);
+
+    // 200px 스크롤되어 있으므로 화면의 x=300은 그리드의 x=500, 즉 c 위
+    wrapper.instance().handleGroupingTarget("a", pointer(300, 165));
+    expect(wrapper.instance().state.groupingTarget).toBe("c");
+  });
+
+  it("hit-tests against the inner grid's own container inside a group", () => {
+    const wrapper = mountGrid(
+      [
+        {
+          i: "group-1",
+          x: 0,
+          y: 0,
+          w: 4,
+          h: 2,
+          isGroup: true,
+          children: [
+            { i: "a", x: 0, y: 0, w: 2, h: 2 },
+            { i: "b", x: 2, y: 0, w: 2, h: 2 }
+          ]
+        },
+        { i: "c", x: 4, y: 0, w: 2, h: 2 }
+      ],
+      { groupingDelay: 0, maxGroupDepth: 2 }
+    );
+    const inner = wrapper
+      .find(ReactGridLayout)
+      .filterWhere(grid => grid.prop("isGroup") === true);
+    placeContainer(wrapper.getDOMNode(), 0, 0);
+    placeContainer(inner.getDOMNode(), 50, 80);
+
+    // 내부 그리드에서 b는 (197, 0)부터 187x310 영역을 차지
+    inner.instance().handleGroupingTarget("a", pointer(50 + 290, 80 + 155));
+    expect(inner.instance().state.groupingTarget).toBe("b");
+    // 부모 그리드 기준으로는 같은 위치가 c 위가 아님
+    expect(wrapper.instance().state.groupingTarget).toBe(null);
+  });
+
+  it("places an item dragged out of a group using the grid's own container", () => {
+    const wrapper = mountGrid(
+      [
+        {
+          i: "group-1",
+          x: 0,
+          y: 0,
+          w: 4,
+          h: 2,
+          isGroup: true,
+          children: [
+            { i: "a", x: 0, y: 0, w: 2, h: 2 },
+            { i: "b", x: 2, y: 0, w: 2, h: 2 }
+          ]
+        },
+        { i: "c", x: 4, y: 0, w: 2, h: 2 }
+      ],
+      { groupingDelay: 0, transformScale: 0.5 }
+    );
+    placeContainer(wrapper.getDOMNode(), 100, 50, 0, 40);
+    // 그룹 컨테이너의 부모는 그리드 컨테이너가 아니므로 쓰이지 않아야 함
+    const groupContainer = {
+      getBoundingClientRect: () => ({
+        left: 105,
+        right: 295,
+        top: 55,
+        bottom: 210
+      }),
+      parentElement: {
+        getBoundingClientRect: () => ({ left: 0, top: 0 })
+      }
+    };
+    const node: any = { closest: () => groupContainer };
+
+    // 화면의 (100 + 202, 50 + 230)은 그리드의 (404, 460 + 40)으로, x=4, y=3 셀
+    const handled = wrapper
+      .instance()
+      .onGroupItemDragOut(
+        "group-1",
+        { i: "b", x: 2, y: 0, w: 2, h: 2 },
+        pointer(302, 280),
+        node
+      );
+
+    expect(handled).toBe(true);
+    const moved = wrapper.instance().state.layout.find(item => item.i === "b");
+    // c 아래로 압축됨
+    expect(moved).toMatchObject({ x: 4, y: 2 });
+  });
+});
+
+describe("Group titles and metadata", () => {
+  const meta = { color: "blue", tags: ["sales"] };
+  const layout = [
+    {
+      i: "group-1",
+      x: 0,
+      y: 2,
+      w: 4,
+      h: 2,
+      isGroup: true,
+      title: "Sales",
+      meta,
+      children: [
+        { i: "a", x: 0, y: 0, w: 2, h: 2 },
+        { i: "b", x: 2, y: 0, w: 2, h: 2 }
+      ]
+    },
+    { i: "c", x: 4, y: 0, w: 2, h: 2 }
+  ];
+
+  function renameTo(wrapper, title: string, key = "Enter") {
+    wrapper.find(".react-grid-group-title").simulate("doubleclick");
+    const input = wrapper.find("input.react-grid-group-title-input");
+    input.simulate("change", { target: { value: title } });
+    input.simulate("keydown", { key });
+  }
+
+  it("keeps title and meta through cloneLayoutItem, compact and moveElement", () => {
+    expect(cloneLayoutItem(layout[0])).toMatchObject({ title: "Sales", meta });
+
+    const compacted = compact(layout, "vertical", 6);
+    expect(compacted[0]).toMatchObject({ y: 0, title: "Sales", meta });
+
+    const moved = moveElement(
+      compacted,
+      compacted[0],
+      2,
+      0,
+      true,
+      false,
+      "vertical",
+      6,
+      false
+    );
+    expect(moved.find(item => item.i === "group-1")).toMatchObject({
+      title: "Sales",
+      meta
+    });
+  });
+
+  it("keeps title and meta in generated responsive layouts", () => {
+    const generated = findOrGenerateResponsiveLayout(
+      { lg: layout },
+      { lg: 1200, sm: 768 },
+      "sm",
+      "lg",
+      4,
+      "vertical"
+    );
+    expect(generated.find(item => item.i === "group-1")).toMatchObject({
+      title: "Sales",
+      meta
+    });
+  });
+
+  it("shows the title in the default header, falling back to the id", () => {
+    const wrapper = mountGrid(layout);
+    expect(wrapper.find(".react-grid-group-title").text()).toBe("Sales");
+
+    wrapper.setProps({
+      layout: [{ ...layout[0], title: undefined }, layout[1]]
+    });
+    expect(wrapper.find(".react-grid-group-title").text()).toBe("group-1");
+  });
+
+  it("renames a group inline and reports it", () => {
+    const onGroupRename = jest.fn();
+    const onLayoutChange = jest.fn();
+    const wrapper = mountGrid(layout, { onGroupRename, onLayoutChange });
+    onLayoutChange.mockClear();
+
+    renameTo(wrapper, "  Marketing ");
+
+    expect(onGroupRename).toHaveBeenCalledWith(
+      expect.objectContaining({ i: "group-1", title: "Sales" }),
+      "Marketing"
+    );
+    expect(onLayoutChange).toHaveBeenCalledTimes(1);
+    expect(onLayoutChange.mock.calls[0][0][0]).toMatchObject({
+      i: "group-1",
+      title: "Marketing",
+      meta
+    });
+    wrapper.update();
+    expect(wrapper.find(".react-grid-group-title").text()).toBe("Marketing");
+  });
+
+  it("keeps the old title when the rename is vetoed, cancelled or empty", () => {
+    const onGroupRename = jest.fn(() => false);
+    const wrapper = mountGrid(layout, { onGroupRename });
+
+    renameTo(wrapper, "Marketing");
+    expect(onGroupRename).toHaveBeenCalledTimes(1);
+
+    renameTo(wrapper, "Support", "Escape");
+    renameTo(wrapper, "   ");
+    expect(onGroupRename).toHaveBeenCalledTimes(1);
+
+    const group: any = wrapper.instance().state.layout[0];
+    expect(group.title).toBe("Sales");
+    wrapper.update();
+    expect(wrapper.find(".react-grid-group-title").text()).toBe("Sales");
+  });
+
+  it("keeps a sub-group's new title in its parent group", () => {
+    const subGroupLayout = [
+      {
+        i: "group-1",
+        x: 0,
+        y: 0,
+        w: 4,
+        h: 2,
+        isGroup: true,
+        children: [
+          {
+            i: "group-2",
+            x: 0,
+            y: 0,
+            w: 4,
+            h: 2,
+            isGroup: true,
+            title: "Inner",
+            children: [
+              { i: "a", x: 0, y: 0, w: 2, h: 2 },
+              { i: "b", x: 2, y: 0, w: 2, h: 2 }
+            ]
+          }
+        ]
+      },
+      { i: "c", x: 4, y: 0, w: 2, h: 2 }
+    ];
+    const wrapper = mountGrid(subGroupLayout, { maxGroupDepth: 2 });
+
+    const inner = wrapper
+      .find(ReactGridLayout)
+      .filterWhere(grid => grid.prop("groupDepth") === 1);
+    inner.instance().renameGroup("group-2", "Renamed");
+
+    const group: any = wrapper.instance().state.layout[0];
+    expect(group.children[0]).toMatchObject({ i: "group-2", title: "Renamed" });
+  });
+
+  it("keeps a sub-group's title and meta when its parent's children are rebuilt", () => {
+    const subGroup = {
+      i: "group-2",
+      x: 0,
+      y: 0,
+      w: 4,
+      h: 2,
+      isGroup: true,
+      title: "Inner",
+      meta,
+      children: [
+        { i: "a", x: 0, y: 0, w: 2, h: 2 },
+        { i: "b", x: 2, y: 0, w: 2, h: 2 }
+      ]
+    };
+    const parentLayout = [
+      {
+        i: "group-1",
+        x: 0,
+        y: 0,
+        w: 4,
+        h: 2,
+        isGroup: true,
+        children: [subGroup]
+      }
+    ];
+
+    // 내부 그리드가 cloneLayoutItem으로 만든 하위 그룹의 meta가 바뀐 경우
+    const nextMeta = { color: "red" };
+    const changed = updateGroupChildren(parentLayout, "group-1", [
+      { ...cloneLayoutItem(subGroup), meta: nextMeta }
+    ]);
+    const group: any = changed[0];
+    expect(group.children[0]).toMatchObject({
+      i: "group-2",
+      title: "Inner",
+      meta: nextMeta
+    });
+
+    // 하위 그룹이 옮겨질 때도 이름과 meta가 유지됨
+    const moved = updateGroupChildren(parentLayout, "group-1", [
+      { ...cloneLayoutItem(subGroup), y: 1 }
+    ]);
+    const movedGroup: any = moved[0];
+    expect(movedGroup.children[0]).toMatchObject({
+      i: "group-2",
+      y: 1,
+      title: "Inner",
+      meta
+    });
+  });
+});
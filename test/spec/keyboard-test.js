@@ -0,0 +1,171 @@
+// @flow
+/* eslint-env jest */
+
+import mountGrid from "../util/mountGrid";
+
+describe("Keyboard move and resize", () => {
+  const layout = [
+    { i: "a", x: 0, y: 0, w: 1, h: 1, title: "Chart" },
+    { i: "b", x: 2, y: 0, w: 1, h: 1 }
+  ];
+
+  function press(wrapper, index, key, event: Object = {}) {
+    wrapper
+      .find("div.react-grid-item")
+      .at(index)
+      .simulate("keyDown", { key, ...event });
+  }
+
+  function announcement(wrapper) {
+    return wrapper.find(".react-grid-live-region").text();
+  }
+
+  it("makes draggable items focusable", () => {
+    const wrapper = mountGrid(layout, { isKeyboardAccessible: true });
+    const item = wrapper.find("div.react-grid-item").at(0);
+    expect(item.prop("tabIndex")).toBe(0);
+    expect(item.prop("aria-roledescription")).toBe("movable widget");
+    const liveRegion = wrapper.find(".react-grid-live-region");
+    expect(liveRegion.prop("role")).toBe("status");
+    expect(liveRegion.prop("aria-live")).toBe("polite");
+  });
+
+  it("picks an item up, moves it with the arrow keys and drops it", () => {
+    const onDragStop = jest.fn();
+    const onLayoutChange = jest.fn();
+    const wrapper = mountGrid(layout, {
+      isKeyboardAccessible: true,
+      onDragStop,
+      onLayoutChange
+    });
+
+    press(wrapper, 0, "Enter");
+    expect(announcement(wrapper)).toContain(
+      "Chart picked up at column 1, row 1."
+    );
+
+    press(wrapper, 0, "ArrowRight");
+    press(wrapper, 0, "ArrowDown");
+    expect(announcement(wrapper)).toBe("Chart moved to column 2, row 2");
+
+    press(wrapper, 0, " ");
+    const a: any = wrapper.state("layout").find(l => l.i === "a");
+    expect([a.x, a.y]).toEqual([1, 1]);
+    expect(wrapper.state("activeDrag")).toBeNull();
+    expect(announcement(wrapper)).toBe("Chart dropped at column 2, row 2");
+    expect(onDragStop).toHaveBeenCalledTimes(1);
+    expect(onDragStop.mock.calls[0][4].type).toBe("keydown");
+    expect(onLayoutChange).toHaveBeenCalled();
+  });
+
+  it("keeps a held item inside the grid", () => {
+    const wrapper = mountGrid(layout, { isKeyboardAccessible: true });
+    press(wrapper, 0, "Enter");
+    press(wrapper, 0, "ArrowLeft");
+    press(wrapper, 0, "ArrowUp");
+    press(wrapper, 0, "Enter");
+    const a: any = wrapper.state("layout").find(l => l.i === "a");
+    expect([a.x, a.y]).toEqual([0, 0]);
+    expect(announcement(wrapper)).toBe("Chart dropped at column 1, row 1");
+  });
+
+  it("puts the item back on Escape", () => {
+    const onDragStop = jest.fn();
+    const wrapper = mountGrid(layout, {
+      isKeyboardAccessible: true,
+      onDragStop,
+      reflowMode: "live"
+    });
+
+    press(wrapper, 1, "Enter");
+    press(wrapper, 1, "ArrowLeft");
+    press(wrapper, 1, "ArrowLeft");
+    const moved: any = wrapper.state("layout").find(l => l.i === "b");
+    expect(moved.x).toBe(0);
+
+    press(wrapper, 1, "Escape");
+    const b: any = wrapper.state("layout").find(l => l.i === "b");
+    expect([b.x, b.y]).toEqual([2, 0]);
+    expect(wrapper.state("oldDragItem")).toBeNull();
+    expect(announcement(wrapper)).toBe(
+      "b move cancelled, back at column 3, row 1"
+    );
+    expect(onDragStop.mock.calls[0][6]).toEqual([]);
+
+    // 취소한 뒤 방향키는 아이템을 옮기지 않음
+    press(wrapper, 1, "ArrowDown");
+    const after: any = wrapper.state("layout").find(l => l.i === "b");
+    expect(after.y).toBe(0);
+  });
+
+  it("cancels the move when the item loses focus", () => {
+    const wrapper = mountGrid(layout, { isKeyboardAccessible: true });
+    press(wrapper, 0, "Enter");
+    press(wrapper, 0, "ArrowDown");
+    wrapper.find("div.react-grid-item").at(0).simulate("blur");
+    const a: any = wrapper.state("layout").find(l => l.i === "a");
+    expect([a.x, a.y]).toEqual([0, 0]);
+  });
+
+  it("resizes the focused item with Shift and the arrow keys", () => {
+    const onResizeStop = jest.fn();
+    const wrapper = mountGrid(layout, {
+      isKeyboardAccessible: true,
+      onResizeStop
+    });
+
+    press(wrapper, 0, "ArrowRight", { shiftKey: true });
+    press(wrapper, 0, "ArrowDown", { shiftKey: true });
+    let a: any = wrapper.state("layout").find(l => l.i === "a");
+    expect([a.w, a.h]).toEqual([2, 2]);
+    expect(announcement(wrapper)).toBe("Chart resized to 2 columns by 2 rows");
+    expect(onResizeStop).toHaveBeenCalledTimes(2);
+
+    // 최소 크기보다 작아지지 않음
+    press(wrapper, 0, "ArrowLeft", { shiftKey: true });
+    press(wrapper, 0, "ArrowLeft", { shiftKey: true });
+    a = wrapper.state("layout").find(l => l.i === "a");
+    expect(a.w).toBe(1);
+  });
+
+  it("takes its announcements and role description from messages", () => {
+    const wrapper = mountGrid(layout, {
+      isKeyboardAccessible: true,
+      messages: {
+        itemRoleDescription: "위젯",
+        itemPosition: (column, row) => `${row}행 ${column}열`,
+        keyboardMove: (label, position) => `${label}: ${position}`
+      }
+    });
+    expect(
+      wrapper.find("div.react-grid-item").at(0).prop("aria-roledescription")
+    ).toBe("위젯");
+
+    press(wrapper, 0, "Enter");
+    press(wrapper, 0, "ArrowRight");
+    expect(announcement(wrapper)).toBe("Chart: 1행 2열");
+
+    // 넘기지 않은 문구는 기본값을 씀
+    press(wrapper, 0, "Enter");
+    expect(announcement(wrapper)).toBe("Chart dropped at 1행 2열");
+  });
+
+  it("ignores keys from elements inside the item", () => {
+    const wrapper = mountGrid(layout, { isKeyboardAccessible: true });
+    const item = wrapper.find("div.react-grid-item").at(0);
+    item.simulate("keyDown", {
+      key: "Enter",
+      target: document.createElement("input")
+    });
+    expect(wrapper.state("activeDrag")).toBeNull();
+  });
+
+  it("does nothing unless isKeyboardAccessible is set", () => {
+    const wrapper = mountGrid(layout);
+    const item = wrapper.find("div.react-grid-item").at(0);
+    expect(item.prop("tabIndex")).toBeUndefined();
+    expect(wrapper.find(".react-grid-live-region").exists()).toBe(false);
+    press(wrapper, 0, "Enter");
+    expect(wrapper.state("activeDrag")).toBeNull();
+  });
+});
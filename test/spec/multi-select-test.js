@@ -0,0 +1,257 @@
+// @flow
+/* eslint-env jest */
+
+import GridItem from "../../lib/GridItem";
+import mountGrid from "../util/mountGrid";
+
+describe("Multi-select", () => {
+  const layout = [
+    { i: "a", x: 0, y: 0, w: 1, h: 1 },
+    { i: "b", x: 1, y: 0, w: 1, h: 1 },
+    { i: "c", x: 3, y: 0, w: 1, h: 1 },
+    { i: "d", x: 0, y: 1, w: 1, h: 1 }
+  ];
+
+  function click(instance, id, event: Object = {}) {
+    const l: any = instance.state.layout.find(item => item.i === id);
+    const data: any = { e: { clientX: 0, clientY: 0, ...event }, node: {} };
+    instance.onDragStart(id, l.x, l.y, data);
+    instance.onDragStop(id, l.x, l.y, data);
+  }
+
+  function positions(layout) {
+    return layout.map(item => [item.i, item.x, item.y]);
+  }
+
+  it("selects on click and adds or removes with Shift, Ctrl or Cmd", () => {
+    const onSelectionChange = jest.fn();
+    const wrapper = mountGrid(layout, {
+      isSelectable: true,
+      onSelectionChange
+    });
+    const instance = wrapper.instance();
+
+    click(instance, "a");
+    click(instance, "b", { shiftKey: true });
+    click(instance, "c", { metaKey: true });
+    expect(instance.getSelectedIds()).toEqual(["a", "b", "c"]);
+    click(instance, "b", { ctrlKey: true });
+    expect(instance.getSelectedIds()).toEqual(["a", "c"]);
+    // 수정 키 없이 누르면 그 아이템만 선택
+    click(instance, "c");
+    expect(onSelectionChange.mock.calls.map(call => call[0])).toEqual([
+      ["a"],
+      ["a", "b"],
+      ["a", "b", "c"],
+      ["a", "c"],
+      ["c"]
+    ]);
+
+    wrapper.update();
+    const selected = wrapper
+      .find(GridItem)
+      .filterWhere(
+        item => item.prop("className") === "react-grid-item-selected"
+      )
+      .map(item => item.prop("i"));
+    expect(selected).toEqual(["c"]);
+  });
+
+  it("leaves the grouping modifier key to grouping", () => {
+    const wrapper = mountGrid(layout, {
+      isSelectable: true,
+      groupingModifierKey: "shift"
+    });
+    const instance = wrapper.instance();
+
+    click(instance, "a");
+    // Shift는 그룹화에 쓰이므로 선택에 더하지 않고 일반 클릭처럼 처리
+    click(instance, "b", { shiftKey: true });
+    expect(instance.getSelectedIds()).toEqual(["b"]);
+    click(instance, "a", { ctrlKey: true });
+    expect(instance.getSelectedIds()).toEqual(["b", "a"]);
+  });
+
+  it("moves the whole selection with its offsets and reports every moved item", () => {
+    const onDragStop = jest.fn();
+    const onLayoutChange = jest.fn();
+    const wrapper = mountGrid(layout, {
+      isSelectable: true,
+      selectedIds: ["a", "b", "d"],
+      onDragStop,
+      onLayoutChange
+    });
+    const instance = wrapper.instance();
+    onLayoutChange.mockClear();
+    const drag: any = { e: { clientX: 0, clientY: 0 }, node: {} };
+
+    instance.onDragStart("b", 1, 0, drag);
+    instance.onDrag("b", 3, 2, drag);
+    // onDrop 모드에서는 레이아웃은 그대로 두고 선택된 나머지 아이템만 따라 그림
+    wrapper.update();
+    const rendered = wrapper
+      .find(GridItem)
+      .filterWhere(item => item.prop("className") !== undefined)
+      .map(item => [item.prop("i"), item.prop("x"), item.prop("y")]);
+    expect(rendered).toEqual(
+      expect.arrayContaining([
+        ["a", 2, 2],
+        ["c", 3, 0],
+        ["d", 2, 3]
+      ])
+    );
+    expect(positions(instance.state.layout)).toEqual(positions(layout));
+    expect(instance.state.activeDrag).toMatchObject({ i: "b", x: 3, y: 2 });
+    instance.onDragStop("b", 3, 2, drag);
+
+    expect(positions(instance.state.layout)).toEqual([
+      ["a", 2, 2],
+      ["b", 3, 2],
+      ["c", 3, 0],
+      ["d", 2, 3]
+    ]);
+    expect(onDragStop).toHaveBeenCalledTimes(1);
+    expect(positions(onDragStop.mock.calls[0][6])).toEqual([
+      ["a", 2, 2],
+      ["b", 3, 2],
+      ["d", 2, 3]
+    ]);
+    expect(onLayoutChange).toHaveBeenLastCalledWith(instance.state.layout);
+  });
+
+  it("treats the selection as one box when it collides with other items", () => {
+    const instance = mountGrid(layout, {
+      isSelectable: true,
+      selectedIds: ["a", "b"],
+      compactType: "vertical"
+    }).instance();
+    const drag: any = { e: { clientX: 0, clientY: 0 }, node: {} };
+
+    instance.onDragStart("a", 0, 0, drag);
+    instance.onDragStop("a", 2, 0, drag);
+
+    expect(positions(instance.state.layout)).toEqual([
+      ["a", 2, 0],
+      ["b", 3, 0],
+      ["c", 3, 1],
+      ["d", 0, 0]
+    ]);
+  });
+
+  it("keeps the selection inside the grid", () => {
+    const instance = mountGrid(layout, {
+      isSelectable: true,
+      selectedIds: ["a", "c"]
+    }).instance();
+    const drag: any = { e: { clientX: 0, clientY: 0 }, node: {} };
+
+    instance.onDragStart("a", 0, 0, drag);
+    instance.onDragStop("a", 4, 0, drag);
+
+    // 박스 너비가 4칸이므로 오른쪽 끝은 6칸을 넘지 않음
+    expect(positions(instance.state.layout)).toEqual([
+      ["a", 2, 0],
+      ["b", 1, 0],
+      ["c", 5, 0],
+      ["d", 0, 1]
+    ]);
+  });
+
+  it("doesn't change a controlled selection on its own", () => {
+    const onSelectionChange = jest.fn();
+    const wrapper = mountGrid(layout, {
+      isSelectable: true,
+      selectedIds: ["a"],
+      onSelectionChange
+    });
+    const instance = wrapper.instance();
+
+    click(instance, "b");
+    expect(onSelectionChange).toHaveBeenCalledWith(["b"]);
+    expect(instance.getSelectedIds()).toEqual(["a"]);
+
+    wrapper.setProps({ selectedIds: ["b"] });
+    expect(instance.getSelectedIds()).toEqual(["b"]);
+  });
+
+  it("selects the items a marquee drawn over empty space touches", () => {
+    const onSelectionChange = jest.fn();
+    // React 16은 document에서 이벤트를 받으므로 문서에 붙여서 실제 이벤트를 보냄
+    const root = document.createElement("div");
+    document.body && document.body.appendChild(root);
+    const wrapper = mountGrid(
+      layout,
+      { isSelectable: true, onSelectionChange },
+      { attachTo: root }
+    );
+    const instance = wrapper.instance();
+    const container: any = instance.containerNode;
+    const mouseDown = (init: Object) =>
+      container.dispatchEvent(
+        new MouseEvent("mousedown", { bubbles: true, button: 0, ...init })
+      );
+
+    // (150, 50)에서 (350, 150)까지: b와 c 위
+    mouseDown({ clientX: 150, clientY: 50 });
+    window.dispatchEvent(
+      new MouseEvent("mousemove", { clientX: 350, clientY: 150 })
+    );
+    wrapper.update();
+    expect(
+      wrapper.find(".react-grid-selection-marquee").prop("style")
+    ).toMatchObject({ left: 150, top: 50, width: 200, height: 100 });
+    expect(instance.getSelectedIds()).toEqual(["b", "c"]);
+
+    window.dispatchEvent(new MouseEvent("mouseup"));
+    wrapper.update();
+    expect(wrapper.find(".react-grid-selection-marquee")).toHaveLength(0);
+
+    // Shift를 누르고 그리면 기존 선택에 더함
+    mouseDown({ clientX: 10, clientY: 150, shiftKey: true });
+    window.dispatchEvent(
+      new MouseEvent("mousemove", { clientX: 20, clientY: 160 })
+    );
+    window.dispatchEvent(new MouseEvent("mouseup"));
+    expect(instance.getSelectedIds()).toEqual(["b", "c", "d"]);
+
+    // 빈 곳을 누르기만 하면 선택 해제
+    mouseDown({ clientX: 500, clientY: 350 });
+    window.dispatchEvent(new MouseEvent("mouseup"));
+    expect(instance.getSelectedIds()).toEqual([]);
+    expect(onSelectionChange).toHaveBeenLastCalledWith([]);
+    wrapper.detach();
+    root.remove();
+  });
+
+  it("ignores clicks and marquees unless isSelectable is set", () => {
+    const onSelectionChange = jest.fn();
+    const root = document.createElement("div");
+    document.body && document.body.appendChild(root);
+    const wrapper = mountGrid(
+      layout,
+      { onSelectionChange },
+      { attachTo: root }
+    );
+    const instance = wrapper.instance();
+
+    click(instance, "a");
+    const container: any = instance.containerNode;
+    container.dispatchEvent(
+      new MouseEvent("mousedown", {
+        bubbles: true,
+        button: 0,
+        clientX: 150,
+        clientY: 50
+      })
+    );
+    window.dispatchEvent(
+      new MouseEvent("mousemove", { clientX: 350, clientY: 150 })
+    );
+    window.dispatchEvent(new MouseEvent("mouseup"));
+
+    expect(onSelectionChange).not.toHaveBeenCalled();
+    expect(instance.state.marquee).toBe(null);
+    wrapper.detach();
+    root.remove();
+  });
+});
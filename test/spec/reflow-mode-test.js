@@ -0,0 +1,127 @@
+// @flow
+/* eslint-env jest */
+
+import ReactGridLayout from "../../lib/ReactGridLayout";
+import mountGrid from "../util/mountGrid";
+
+describe("Reflow mode", () => {
+  const layout = [
+    { i: "a", x: 0, y: 0, w: 2, h: 2 },
+    { i: "b", x: 2, y: 0, w: 2, h: 2 },
+    { i: "c", x: 0, y: 2, w: 2, h: 2 }
+  ];
+
+  function findItem(instance, id): any {
+    return instance.state.layout.find(item => item.i === id);
+  }
+
+  // jsdom에서 그리드 컨테이너는 (0, 0)에 있음. (550, 550)은 어떤 아이템 위도 아님
+  const awayFromItems: any = { e: { clientX: 550, clientY: 550 }, node: {} };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("only moves other items on drop by default", () => {
+    const instance = mountGrid(layout).instance();
+
+    instance.onDragStart("a", 0, 0, awayFromItems);
+    instance.onDrag("a", 0, 2, awayFromItems);
+
+    expect(findItem(instance, "a")).toMatchObject({ x: 0, y: 0 });
+    expect(findItem(instance, "c")).toMatchObject({ x: 0, y: 2 });
+    expect(instance.state.activeDrag).toMatchObject({ x: 0, y: 0 });
+  });
+
+  it("pushes colliding items and moves the placeholder while dragging in live mode", () => {
+    const onDrag = jest.fn();
+    const onLayoutChange = jest.fn();
+    const wrapper = mountGrid(layout, {
+      reflowMode: "live",
+      onDrag,
+      onLayoutChange
+    });
+    const instance = wrapper.instance();
+    onLayoutChange.mockClear();
+
+    instance.onDragStart("c", 0, 2, awayFromItems);
+    instance.onDrag("c", 0, 0, awayFromItems);
+
+    expect(findItem(instance, "c")).toMatchObject({ x: 0, y: 0 });
+    expect(findItem(instance, "a")).toMatchObject({ x: 0, y: 2 });
+    expect(instance.state.activeDrag).toMatchObject({
+      i: "c",
+      x: 0,
+      y: 0,
+      placeholder: true
+    });
+    expect(onDrag).toHaveBeenCalledTimes(1);
+    expect(onDrag.mock.calls[0][0]).toBe(instance.state.layout);
+    // 드래그가 끝나기 전에는 레이아웃 변경을 알리지 않음
+    expect(onLayoutChange).not.toHaveBeenCalled();
+
+    // 같은 셀 안의 움직임은 다시 배치하지 않음
+    instance.onDrag("c", 0, 0, awayFromItems);
+    expect(onDrag).toHaveBeenCalledTimes(1);
+
+    instance.onDragStop("c", 0, 0, awayFromItems);
+    expect(onLayoutChange).toHaveBeenCalledTimes(1);
+    expect(findItem(instance, "a")).toMatchObject({ x: 0, y: 2 });
+  });
+
+  it("keeps reflowing over a grouping target until grouping arms", () => {
+    const options = { reflowMode: "live", groupingDelay: 300 };
+    // b의 중심
+    const overB: any = { e: { clientX: 300, clientY: 100 }, node: {} };
+
+    // 그룹화 대기 중에는 타겟도 밀려남
+    let instance = mountGrid(layout, options).instance();
+    instance.onDragStart("a", 0, 0, overB);
+    instance.onDrag("a", 2, 0, overB);
+    expect(findItem(instance, "a")).toMatchObject({ x: 2, y: 0 });
+    expect(findItem(instance, "b")).toMatchObject({ x: 2, y: 2 });
+    instance.onDragStop("a", 2, 0, overB);
+    expect(instance.state.layout.some(item => item.isGroup)).toBe(false);
+
+    // 그룹화가 가능해진 뒤에는 타겟이 제자리에 머묾
+    instance = mountGrid(layout, options).instance();
+    instance.onDragStart("a", 0, 0, overB);
+    instance.onDrag("a", 0, 0, overB);
+    expect(instance.state.groupingTarget).toBe("b");
+    jest.advanceTimersByTime(300);
+    expect(instance.state.isGroupDroppable).toBe(true);
+
+    instance.onDrag("a", 2, 0, overB);
+    expect(findItem(instance, "b")).toMatchObject({ x: 2, y: 0 });
+    expect(findItem(instance, "a")).toMatchObject({ x: 0, y: 0 });
+
+    instance.onDragStop("a", 2, 0, overB);
+    expect(instance.state.layout.some(item => item.isGroup)).toBe(true);
+  });
+
+  it("passes reflowMode to the grids inside groups", () => {
+    const wrapper = mountGrid(
+      [
+        {
+          i: "group-1",
+          x: 0,
+          y: 0,
+          w: 4,
+          h: 2,
+          isGroup: true,
+          children: [layout[0], layout[1]]
+        },
+        layout[2]
+      ],
+      { reflowMode: "live" }
+    );
+    const inner = wrapper
+      .find(ReactGridLayout)
+      .filterWhere(grid => grid.prop("isGroup") === true);
+    expect(inner.prop("reflowMode")).toBe("live");
+  });
+});
@@ -7,7 +7,9 @@ import {
   compact,
   fastRGLPropsEqual,
   moveElement,
+  moveElements,
   sortLayoutItemsByRowCol,
+  swapElement,
   validateLayout,
   compactType,
   synchronizeLayoutWithChildren
@@ -88,6 +90,54 @@ describe("validateLayout", () => {
       ]);
     }).toThrowError(/layout\[1]\.h must be a number!/i);
   });
+  it("Validates the children of groups", () => {
+    expect(() => {
+      validateLayout([
+        {
+          i: "group",
+          x: 0,
+          y: 0,
+          w: 2,
+          h: 1,
+          isGroup: true,
+          // $FlowFixMe: dynamic check
+          children: [{ i: "1", x: 0, y: 0, w: 1 }]
+        }
+      ]);
+    }).toThrowError(/layout\[0]\.children\[0]\.h must be a number!/i);
+  });
+  it("Throws errors on ids in both a group and the top level", () => {
+    expect(() => {
+      validateLayout([
+        {
+          i: "group",
+          x: 0,
+          y: 0,
+          w: 1,
+          h: 1,
+          isGroup: true,
+          children: [{ i: "1", x: 0, y: 0, w: 1, h: 1 }]
+        },
+        { i: "1", x: 1, y: 0, w: 1, h: 1 }
+      ]);
+    }).toThrowError(
+      /layout\[1]\.i "1" is already used by layout\[0]\.children\[0]/i
+    );
+  });
+  it("Throws errors on ids in two groups", () => {
+    const group = (i, childId) => ({
+      i,
+      x: 0,
+      y: 0,
+      w: 1,
+      h: 1,
+      isGroup: true,
+      children: [{ i: childId, x: 0, y: 0, w: 1, h: 1 }]
+    });
+    expect(() => {
+      validateLayout([group("g1", "1"), group("g2", "1")]);
+    }).toThrowError(/"1" is already used/i);
+  });
 });
 
 describe("moveElement", () => {
@@ -411,6 +461,138 @@ describe("moveElement", () => {
   });
 });
 
+describe("moveElements", () => {
+  it("Moves the items together, keeping their offsets", () => {
+    const layout = [
+      { i: "a", x: 0, y: 0, w: 1, h: 1 },
+      { i: "b", x: 2, y: 1, w: 1, h: 1 },
+      { i: "c", x: 5, y: 0, w: 1, h: 1 }
+    ];
+    const moved = moveElements(
+      layout,
+      [layout[0], layout[1]],
+      1,
+      2, // x, y
+      true, // isUserAction
+      false, // preventCollision
+      null,
+      6 // compactType, cols
+    );
+    expect(moved.map(l => l.i)).toEqual(["a", "b", "c"]);
+    expect(moved[0]).toMatchObject({ x: 1, y: 2, moved: true });
+    expect(moved[1]).toMatchObject({ x: 3, y: 3, moved: true });
+    expect(moved[2]).toMatchObject({ x: 5, y: 0 });
+  });
+
+  it("Moves colliding items out of the way of the whole selection", () => {
+    const layout = [
+      { i: "a", x: 0, y: 0, w: 1, h: 1 },
+      { i: "b", x: 1, y: 0, w: 1, h: 1 },
+      { i: "c", x: 2, y: 0, w: 1, h: 1 }
+    ];
+    const moved = moveElements(
+      layout,
+      [layout[0], layout[1]],
+      1,
+      0, // x, y
+      true, // isUserAction
+      false, // preventCollision
+      "vertical",
+      6 // compactType, cols
+    );
+    expect(moved.map(l => [l.i, l.x, l.y])).toEqual([
+      ["a", 1, 0],
+      ["b", 2, 0],
+      ["c", 2, 1]
+    ]);
+  });
+
+  it("Leaves the layout alone when the box would collide with preventCollision", () => {
+    const layout = [
+      { i: "a", x: 0, y: 0, w: 1, h: 1 },
+      { i: "b", x: 1, y: 0, w: 1, h: 1 },
+      { i: "c", x: 3, y: 0, w: 1, h: 1 }
+    ];
+    const moved = moveElements(
+      layout,
+      [layout[0], layout[1]],
+      2,
+      0, // x, y
+      true, // isUserAction
+      true, // preventCollision
+      null,
+      6 // compactType, cols
+    );
+    expect(moved.map(l => [l.i, l.x, l.y])).toEqual([
+      ["a", 0, 0],
+      ["b", 1, 0],
+      ["c", 3, 0]
+    ]);
+  });
+
+  it("Skips static items", () => {
+    const layout = [
+      { i: "a", x: 0, y: 0, w: 1, h: 1 },
+      { i: "b", x: 1, y: 0, w: 1, h: 1, static: true }
+    ];
+    const moved = moveElements(
+      layout,
+      layout,
+      0,
+      2, // x, y
+      true, // isUserAction
+      false, // preventCollision
+      null,
+      6 // compactType, cols
+    );
+    expect(moved.find(l => l.i === "a")).toMatchObject({ x: 0, y: 2 });
+    expect(moved.find(l => l.i === "b")).toMatchObject({ x: 1, y: 0 });
+  });
+});
+
+describe("swapElement", () => {
+  it("Swaps the positions of two items of the same size", () => {
+    const layout = [
+      { i: "a", x: 0, y: 0, w: 2, h: 1 },
+      { i: "b", x: 3, y: 2, w: 2, h: 1 },
+      { i: "c", x: 0, y: 1, w: 1, h: 1 }
+    ];
+    const swapped: any = swapElement(layout, layout[0], 2, 2, 6);
+    expect(swapped.map(l => [l.i, l.x, l.y])).toEqual([
+      ["a", 3, 2],
+      ["b", 0, 0],
+      ["c", 0, 1]
+    ]);
+    // 원래 레이아웃은 바꾸지 않음
+    expect(layout[0]).toMatchObject({ x: 0, y: 0 });
+  });
+
+  it("Swaps the anchors of items of different sizes within the grid", () => {
+    const layout = [
+      { i: "a", x: 4, y: 0, w: 2, h: 2 },
+      { i: "b", x: 0, y: 0, w: 1, h: 1 }
+    ];
+    const swapped: any = swapElement(layout, layout[1], 5, 1, 6);
+    expect(swapped[0]).toMatchObject({ x: 0, y: 0, w: 2, h: 2 });
+    expect(swapped[1]).toMatchObject({ x: 4, y: 0, w: 1, h: 1 });
+  });
+
+  it("Returns null unless the item is dropped onto exactly one movable item", () => {
+    const layout = [
+      { i: "a", x: 0, y: 0, w: 2, h: 1 },
+      { i: "b", x: 2, y: 0, w: 1, h: 1 },
+      { i: "c", x: 3, y: 0, w: 1, h: 1 },
+      { i: "d", x: 0, y: 2, w: 1, h: 1, static: true }
+    ];
+    // 빈 자리
+    expect(swapElement(layout, layout[0], 0, 1, 6)).toBeNull();
+    // 두 아이템에 걸침
+    expect(swapElement(layout, layout[0], 2, 0, 6)).toBeNull();
+    // static 아이템
+    expect(swapElement(layout, layout[1], 0, 2, 6)).toBeNull();
+  });
+});
+
 describe("compact vertical", () => {
   it("Removes empty vertical space above item", () => {
     const layout = [{ i: "1", x: 0, y: 1, w: 1, h: 1 }];
@@ -818,4 +1000,43 @@ describe("synchronizeLayoutWithChildren", () => {
       expect.objectContaining({ w: 2, h: 2, x: 0, y: 11, i: "C" })
     ]);
   });
+  it("Keeps groups and does not add their children at the top level", () => {
+    const groupedLayout = [
+      {
+        x: 0,
+        y: 0,
+        w: 2,
+        h: 1,
+        i: "G",
+        isGroup: true,
+        children: [
+          { x: 0, y: 0, w: 1, h: 1, i: "A" },
+          { x: 1, y: 0, w: 1, h: 1, i: "B" }
+        ]
+      },
+      { x: 2, y: 0, w: 1, h: 1, i: "C" }
+    ];
+    const children = [
+      <div key="A" />,
+      <div key="B" data-grid={{ x: 4, y: 0, w: 2, h: 2 }} />,
+      <div key="C" />
+    ];
+    const output = synchronizeLayoutWithChildren(
+      groupedLayout,
+      children,
+      cols,
+      compactType
+    );
+    expect(output).toEqual([
+      expect.objectContaining({
+        w: 2,
+        h: 1,
+        x: 0,
+        y: 0,
+        i: "G",
+        children: groupedLayout[0].children
+      }),
+      expect.objectContaining({ w: 1, h: 1, x: 2, y: 0, i: "C" })
+    ]);
+  });
 });
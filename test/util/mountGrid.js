@@ -0,0 +1,41 @@
+// @flow
+import React from "react";
+import { mount } from "enzyme";
+import ReactGridLayout from "../../lib/ReactGridLayout";
+import type { Layout } from "../../lib/utils";
+
+// 그룹 안의 아이템까지 모든 아이템의 id
+export function itemIds(layout: $ReadOnlyArray<Object>): Array<string> {
+  return layout.reduce(
+    (ids, item) =>
+      ids.concat(item.isGroup ? itemIds(item.children || []) : [item.i]),
+    []
+  );
+}
+
+// 기능별 테스트가 함께 쓰는 그리드를 마운트함
+// 600px 너비에 6열, 행 높이 100px이고 여백과 압축이 없어 칸 하나가 100px 정사각형임
+// 나머지는 그리드 기본값을 쓰며 props로 덮어쓸 수 있음. 아이템마다 id를 내용으로 하는 자식을 렌더링함
+export default function mountGrid(
+  layout: Layout,
+  props: Object = {},
+  options: Object = {}
+): any {
+  return mount(
+    <ReactGridLayout
+      layout={layout}
+      cols={6}
+      rowHeight={100}
+      width={600}
+      margin={[0, 0]}
+      containerPadding={[0, 0]}
+      compactType={null}
+      {...props}
+    >
+      {itemIds(layout).map(id => (
+        <div key={id}>{id}</div>
+      ))}
+    </ReactGridLayout>,
+    options
+  );
+}